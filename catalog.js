@@ -0,0 +1,100 @@
+// Local catalog of captures for the PSI daemon (psi.js --server --catalog <dir>).
+//
+// Captures are keyed by URL and capture time. Each one is a copy of the
+// captured file in <dir>/captures, listed in <dir>/catalog.json. Retired
+// captures stay listed so that their id is never reused for other content,
+// but they can no longer be selected and their file is deleted.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * The id of a capture: a short hash of its URL and normalized capture time,
+ * so the same capture has the same id in every catalog.
+ */
+function captureId(url, capturedAt) {
+  return crypto.createHash('sha256').update(`${url}\n${capturedAt}`).digest('hex').slice(0, 16);
+}
+
+function normalizeTime(time) {
+  const date = new Date(time);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid capture time: ${time}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Opens the catalog in a directory, creating it if needed.
+ *
+ * Returns { list(), get(id), find(url, capturedAt), filePath(entry),
+ * add({ url, capturedAt, fileName, content }), retire(id) } where entries are
+ * { id, url, capturedAt, file, addedAt, retiredAt }. list, get and find only
+ * return captures that are not retired.
+ */
+function openCatalog(dir) {
+  const indexPath = path.join(dir, 'catalog.json');
+  const capturesDir = path.join(dir, 'captures');
+  fs.mkdirSync(capturesDir, { recursive: true });
+  let entries = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')).captures : [];
+
+  // Write and rename so that a crash never leaves a truncated index
+  function save() {
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify({ captures: entries }, null, 2) + '\n');
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  }
+
+  function list() {
+    return entries.filter(entry => !entry.retiredAt);
+  }
+
+  function get(id) {
+    return entries.find(entry => entry.id === id && !entry.retiredAt) || null;
+  }
+
+  // The capture of a URL at a given time, or its latest capture
+  function find(url, capturedAt) {
+    const time = capturedAt ? normalizeTime(capturedAt) : null;
+    const matches = list().filter(entry => entry.url === url && (!time || entry.capturedAt === time));
+    return matches.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt)).pop() || null;
+  }
+
+  function filePath(entry) {
+    return path.join(capturesDir, entry.file);
+  }
+
+  function add({ url, capturedAt = new Date().toISOString(), fileName = '', content }) {
+    if (!url) {
+      throw new Error('A capture needs a URL');
+    }
+    const time = normalizeTime(capturedAt);
+    const id = captureId(url, time);
+    if (entries.some(entry => entry.id === id)) {
+      throw new Error(`The capture of ${url} at ${time} is already in the catalog`);
+    }
+
+    // Keep the extension, which decides how the file is read (.warc.gz, .html, ...)
+    const extension = (fileName.match(/\.warc\.gz$|\.[\w]+$/i) || ['.txt'])[0].toLowerCase();
+    const entry = { id, url, capturedAt: time, file: id + extension, addedAt: new Date().toISOString(), retiredAt: null };
+    fs.writeFileSync(filePath(entry), content);
+    entries = entries.concat(entry);
+    save();
+    return entry;
+  }
+
+  function retire(id) {
+    const entry = get(id);
+    if (!entry) {
+      return null;
+    }
+    entry.retiredAt = new Date().toISOString();
+    fs.rmSync(filePath(entry), { force: true });
+    save();
+    return entry;
+  }
+
+  return { list, get, find, filePath, add, retire };
+}
+
+module.exports = { captureId, openCatalog };
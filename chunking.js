@@ -0,0 +1,137 @@
+// Bucketing of elements for chunked PSI sessions (psi.js --chunk-size).
+//
+// Both peers split their element sets into the same buckets by a salted
+// hash, so equal elements always land in the same bucket and the union of
+// the per-bucket intersections is the full intersection. The salt is picked
+// by the client for each session. All the copies of an element land in the
+// same bucket, so an element that repeats a lot (a space in word mode) makes
+// its bucket large: the client sends a bucket in as many rounds as the chunk
+// size needs, and the server, whose side of the PSI is a set, keeps each of
+// its elements once.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+// Elements buffered by spillBuckets before they're appended to their files
+const SPILL_BATCH = 65536;
+
+/**
+ * The bucket of an element, out of numChunks.
+ */
+function bucketOf(element, salt, numChunks) {
+  return crypto.createHash('sha256').update(salt).update(element).digest().readUInt32BE(0) % numChunks;
+}
+
+/**
+ * Splits elements into numChunks buckets. Returns one array of element
+ * indices per bucket.
+ */
+function bucketElements(elements, salt, numChunks) {
+  const buckets = Array.from({ length: numChunks }, () => []);
+  elements.forEach((element, idx) => {
+    buckets[bucketOf(element, salt, numChunks)].push(idx);
+  });
+  return buckets;
+}
+
+/**
+ * Splits elements into numChunks buckets like bucketElements, but writes
+ * them to one file per bucket in a new temporary directory instead of
+ * keeping them in memory, for captures too large to hold. elements is an
+ * async iterable of arrays of elements, in order. Returns { readParts, remove }:
+ * readParts(chunk, maxElements) reads one bucket back a piece at a time, as
+ * parts { indices, elements } of at most maxElements each, and remove()
+ * deletes the files.
+ */
+async function spillBuckets(elements, salt, numChunks) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psi-chunks-'));
+  const bucketPath = chunk => path.join(dir, `${chunk}.jsonl`);
+  const remove = () => fs.rmSync(dir, { recursive: true, force: true });
+  
+  // bucket -> lines not written yet, each [index, element]
+  const pending = new Map();
+  let numPending = 0;
+  const flush = () => {
+    for (const [chunk, lines] of pending) {
+      fs.appendFileSync(bucketPath(chunk), lines.join(''));
+    }
+    pending.clear();
+    numPending = 0;
+  };
+  
+  try {
+    let idx = 0;
+    for await (const batch of elements) {
+      for (const element of batch) {
+        const chunk = bucketOf(element, salt, numChunks);
+        if (!pending.has(chunk)) pending.set(chunk, []);
+        pending.get(chunk).push(JSON.stringify([idx++, element]) + '\n');
+        if (++numPending >= SPILL_BATCH) flush();
+      }
+    }
+    flush();
+  } catch (err) {
+    remove();
+    throw err;
+  }
+  
+  function* readParts(chunk, maxElements = SPILL_BATCH) {
+    if (!fs.existsSync(bucketPath(chunk))) return;
+    const fd = fs.openSync(bucketPath(chunk), 'r');
+    const buffer = Buffer.alloc(1 << 20);
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    let part = { indices: [], elements: [] };
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        const lines = (rest + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+          const [idx, element] = JSON.parse(line);
+          part.indices.push(idx);
+          part.elements.push(element);
+          if (part.indices.length >= maxElements) {
+            yield part;
+            part = { indices: [], elements: [] };
+          }
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (part.indices.length > 0) yield part;
+  }
+  
+  return { readParts, remove };
+}
+
+/**
+ * A set of the element indices below size, one bit each: the intersection
+ * of a capture too large to keep a Set of its indices for. Has the add/has
+ * of a Set, and size.
+ */
+function createIndexBitmap(size) {
+  const bits = new Uint8Array(Math.ceil(size / 8));
+  let count = 0;
+  return {
+    add(idx) {
+      if (!(bits[idx >> 3] & (1 << (idx & 7)))) {
+        bits[idx >> 3] |= 1 << (idx & 7);
+        count++;
+      }
+      return this;
+    },
+    has(idx) {
+      return (bits[idx >> 3] & (1 << (idx & 7))) !== 0;
+    },
+    get size() {
+      return count;
+    }
+  };
+}
+
+module.exports = { bucketOf, bucketElements, spillBuckets, createIndexBitmap };
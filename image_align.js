@@ -0,0 +1,186 @@
+// Automatic alignment of two screenshots before image PSI.
+//
+// Screenshots of the same page rarely line up: one was scrolled a little
+// further, has a cookie banner on top, or was taken in a narrower window.
+// Tile-by-tile PSI then matches almost nothing, because every tile is keyed
+// by its position.
+//
+// Each side picks content-defined anchor patches: of all ANCHOR_SIZE×ANCHOR_SIZE
+// patches in the image, the ANCHOR_COUNT with the lowest rolling hash of their
+// quantized luminance. Which patches are chosen depends only on what they
+// contain, so the same content is picked in both images wherever it is. The
+// server publishes salted SHA-256 hashes of its anchors with their positions,
+// the client matches them against its own and takes the most common
+// translation as the offset between the images. Both sides then crop to the
+// overlapping region before tiling. No pixels are exchanged, but a client can
+// confirm a guessed patch of the server's image, which is why there are only
+// a few anchors and each covers a large patch.
+
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+
+const ANCHOR_SIZE = 16;
+const ANCHOR_COUNT = 256;
+// Translations backed by fewer matching anchors than this are ignored
+const MIN_VOTES = 3;
+// Patches whose quantized luminance varies less than this are blank
+// background, which repeats everywhere and would only produce false votes
+const MIN_VARIANCE = 1;
+
+const HASH_BASE_X = 0x01000193;
+const HASH_BASE_Y = 0x000f4243;
+
+function power(base, exponent) {
+  let result = 1;
+  for (let i = 0; i < exponent; i++) {
+    result = Math.imul(result, base);
+  }
+  return result;
+}
+
+/**
+ * Finds content-defined anchor patches in an image.
+ * Returns an array of [hash, x, y] where hash is a salted SHA-256 of the patch.
+ */
+function findAnchors(png, salt) {
+  const { width, height, data } = png;
+  const size = ANCHOR_SIZE;
+  if (width < size || height < size) return [];
+
+  // Quantized luminance absorbs small rendering differences
+  const luma = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    luma[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) >> 3;
+  }
+
+  // Integral images of luma and luma² to find flat patches in constant time
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sumSq = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = luma[y * width + x];
+      const i = (y + 1) * stride + x + 1;
+      sum[i] = value + sum[i - 1] + sum[i - stride] - sum[i - stride - 1];
+      sumSq[i] = value * value + sumSq[i - 1] + sumSq[i - stride] - sumSq[i - stride - 1];
+    }
+  }
+  const boxSum = (table, x, y) =>
+    table[(y + size) * stride + x + size] - table[y * stride + x + size] -
+    table[(y + size) * stride + x] + table[y * stride + x];
+
+  // Polynomial rolling hash of every patch: first along rows, then down columns
+  const across = width - size + 1;
+  const down = height - size + 1;
+  const topX = power(HASH_BASE_X, size - 1);
+  const topY = power(HASH_BASE_Y, size - 1);
+  const rowHashes = new Uint32Array(across * height);
+  for (let y = 0; y < height; y++) {
+    let hash = 0;
+    for (let x = 0; x < width; x++) {
+      if (x >= size) {
+        hash = hash - Math.imul(luma[y * width + x - size], topX);
+      }
+      hash = Math.imul(hash, HASH_BASE_X) + luma[y * width + x];
+      if (x >= size - 1) {
+        rowHashes[y * across + x - size + 1] = hash;
+      }
+    }
+  }
+  const patchHashes = new Uint32Array(across * down);
+  for (let x = 0; x < across; x++) {
+    let hash = 0;
+    for (let y = 0; y < height; y++) {
+      if (y >= size) {
+        hash = hash - Math.imul(rowHashes[(y - size) * across + x], topY);
+      }
+      hash = Math.imul(hash, HASH_BASE_Y) + rowHashes[y * across + x];
+      if (y >= size - 1) {
+        patchHashes[(y - size + 1) * across + x] = hash;
+      }
+    }
+  }
+
+  const pixels = size * size;
+  const candidates = [];
+  for (let y = 0; y < down; y++) {
+    for (let x = 0; x < across; x++) {
+      const mean = boxSum(sum, x, y) / pixels;
+      if (boxSum(sumSq, x, y) / pixels - mean * mean >= MIN_VARIANCE) {
+        candidates.push(y * across + x);
+      }
+    }
+  }
+  candidates.sort((a, b) => patchHashes[a] - patchHashes[b] || a - b);
+
+  return candidates.slice(0, ANCHOR_COUNT).map(position => {
+    const x = position % across;
+    const y = Math.floor(position / across);
+    const hash = crypto.createHash('sha256').update(salt);
+    for (let row = y; row < y + size; row++) {
+      hash.update(luma.subarray(row * width + x, row * width + x + size));
+    }
+    return [hash.digest('hex').slice(0, 32), x, y];
+  });
+}
+
+/**
+ * Estimates the translation of the client image relative to the server image
+ * from two sets of anchors. Returns { dx, dy, votes }, where a point (x, y) in
+ * the server image is at (x + dx, y + dy) in the client image, or null when
+ * no translation has enough support.
+ */
+function estimateOffset(clientAnchors, serverAnchors) {
+  const serverPositions = new Map();
+  for (const [hash, x, y] of serverAnchors) {
+    if (!serverPositions.has(hash)) serverPositions.set(hash, []);
+    serverPositions.get(hash).push([x, y]);
+  }
+
+  const votes = new Map();
+  for (const [hash, cx, cy] of clientAnchors) {
+    for (const [sx, sy] of serverPositions.get(hash) || []) {
+      const key = `${cx - sx},${cy - sy}`;
+      votes.set(key, (votes.get(key) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [key, count] of votes) {
+    if (count >= MIN_VOTES && (!best || count > best.votes)) {
+      const [dx, dy] = key.split(',').map(Number);
+      best = { dx, dy, votes: count };
+    }
+  }
+  return best;
+}
+
+/**
+ * Computes the region the two images have in common for a given offset.
+ * Returns { server, client } crop rectangles { x, y, width, height }, or null
+ * if the images don't overlap.
+ */
+function overlapRegion(serverSize, clientSize, { dx, dy }) {
+  const x0 = Math.max(0, -dx);
+  const y0 = Math.max(0, -dy);
+  const x1 = Math.min(serverSize.width, clientSize.width - dx);
+  const y1 = Math.min(serverSize.height, clientSize.height - dy);
+  if (x1 <= x0 || y1 <= y0) return null;
+  const width = x1 - x0;
+  const height = y1 - y0;
+  return {
+    server: { x: x0, y: y0, width, height },
+    client: { x: x0 + dx, y: y0 + dy, width, height }
+  };
+}
+
+/**
+ * Returns a new PNG with the given rectangle of an image.
+ */
+function cropImage(png, { x, y, width, height }) {
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(png, cropped, x, y, width, height, 0, 0);
+  return cropped;
+}
+
+module.exports = { findAnchors, estimateOffset, overlapRegion, cropImage };
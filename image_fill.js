@@ -0,0 +1,296 @@
+// Filling the redacted regions of an image PSI output (psi_image.js --fill).
+//
+// Redacted pixels are the client's own private content, so no strategy ever
+// reads them: fills are made up only of the kept pixels around them, or of
+// fixed colors. What a strategy can still give away is the shape of the
+// redacted region, which the tile grid (or a text region) already implies.
+//
+// - average: each redacted tile (including the partial tiles along the right
+//   and bottom edges) gets the mean color of its kept (or already filled)
+//   neighbor tiles, or white. Cheap, but blocky.
+// - mask: solid black with a red outline, so it's obvious what was removed
+// - pixelate: a diffusion fill, averaged over blocks of --pixel-size
+// - label: solid black with "REDACTED" written in each region that fits it
+// - diffuse: kept colors are propagated inwards from the edges of each
+//   region, then smoothed over several passes, so backgrounds and gradients
+//   continue across the hole without its tile edges showing
+
+const { PNG } = require('pngjs');
+
+const FILLS = ['average', 'mask', 'pixelate', 'label', 'diffuse'];
+
+const MASK_COLOR = [0, 0, 0];
+const OUTLINE_COLOR = [255, 0, 0];
+const LABEL_COLOR = [255, 255, 255];
+const EMPTY_COLOR = [255, 255, 255];
+// Smoothing passes after the initial inward propagation of a diffusion fill
+const DIFFUSION_PASSES = 50;
+const MAX_LABEL_SCALE = 4;
+
+// 5×7 glyphs for the label, one string per row
+const GLYPHS = {
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100']
+};
+const LABEL = 'REDACTED';
+const LABEL_WIDTH = LABEL.length * 6 - 1;
+const LABEL_HEIGHT = 7;
+
+function setColor(data, pixel, [r, g, b]) {
+  data[pixel * 4] = r;
+  data[pixel * 4 + 1] = g;
+  data[pixel * 4 + 2] = b;
+  data[pixel * 4 + 3] = 255;
+}
+
+// The 4-neighbors of a pixel that are inside the image
+function neighborsOf(pixel, width, height) {
+  const x = pixel % width;
+  const neighbors = [];
+  if (x > 0) neighbors.push(pixel - 1);
+  if (x < width - 1) neighbors.push(pixel + 1);
+  if (pixel >= width) neighbors.push(pixel - width);
+  if (pixel < width * (height - 1)) neighbors.push(pixel + width);
+  return neighbors;
+}
+
+function fillAverage(png, mask, tileSize) {
+  const { width, height, data } = png;
+  const tilesAcross = Math.ceil(width / tileSize);
+  const tilesDown = Math.ceil(height / tileSize);
+  const right = tx => Math.min((tx + 1) * tileSize, width);
+  const bottom = ty => Math.min((ty + 1) * tileSize, height);
+  // A tile is redacted if its pixels are, and stops being missing once it is
+  // filled, so that fills carry on into larger holes
+  const filled = new Uint8Array(tilesAcross * tilesDown);
+  const missing = (tx, ty) => mask[ty * tileSize * width + tx * tileSize] && !filled[ty * tilesAcross + tx];
+
+  const tileAverage = (tx, ty) => {
+    const sum = [0, 0, 0];
+    for (let y = ty * tileSize; y < bottom(ty); y++) {
+      for (let x = tx * tileSize; x < right(tx); x++) {
+        const idx = (y * width + x) * 4;
+        sum[0] += data[idx];
+        sum[1] += data[idx + 1];
+        sum[2] += data[idx + 2];
+      }
+    }
+    return sum.map(value => value / ((right(tx) - tx * tileSize) * (bottom(ty) - ty * tileSize)));
+  };
+
+  for (let ty = 0; ty < tilesDown; ty++) {
+    for (let tx = 0; tx < tilesAcross; tx++) {
+      if (!missing(tx, ty)) continue;
+      const colors = [[tx - 1, ty], [tx + 1, ty], [tx, ty - 1], [tx, ty + 1]]
+        .filter(([ntx, nty]) => ntx >= 0 && ntx < tilesAcross && nty >= 0 && nty < tilesDown && !missing(ntx, nty))
+        .map(([ntx, nty]) => tileAverage(ntx, nty));
+      const color = colors.length > 0
+        ? [0, 1, 2].map(c => Math.round(colors.reduce((sum, color) => sum + color[c], 0) / colors.length))
+        : EMPTY_COLOR;
+      for (let y = ty * tileSize; y < bottom(ty); y++) {
+        for (let x = tx * tileSize; x < right(tx); x++) {
+          setColor(data, y * width + x, color);
+        }
+      }
+      filled[ty * tilesAcross + tx] = 1;
+    }
+  }
+}
+
+function fillMask(png, mask) {
+  const { width, height, data } = png;
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    if (!mask[pixel]) continue;
+    const edge = neighborsOf(pixel, width, height).some(neighbor => !mask[neighbor]);
+    setColor(data, pixel, edge ? OUTLINE_COLOR : MASK_COLOR);
+  }
+}
+
+function fillDiffuse(png, mask) {
+  const { width, height, data } = png;
+
+  // Redacted pixels in breadth-first order from the kept pixels around them,
+  // each filled with the mean of its neighbors that are known by then
+  const order = new Int32Array(mask.length);
+  const known = new Uint8Array(mask.length);
+  const queued = new Uint8Array(mask.length);
+  let tail = 0;
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    known[pixel] = mask[pixel] ? 0 : 1;
+  }
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    if (mask[pixel] && neighborsOf(pixel, width, height).some(neighbor => known[neighbor])) {
+      order[tail++] = pixel;
+      queued[pixel] = 1;
+    }
+  }
+
+  const average = (pixel, from) => {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const neighbor of neighborsOf(pixel, width, height)) {
+      if (!from[neighbor]) continue;
+      sum[0] += data[neighbor * 4];
+      sum[1] += data[neighbor * 4 + 1];
+      sum[2] += data[neighbor * 4 + 2];
+      count++;
+    }
+    setColor(data, pixel, sum.map(value => Math.round(value / count)));
+  };
+
+  for (let head = 0; head < tail; head++) {
+    const pixel = order[head];
+    average(pixel, known);
+    known[pixel] = 1;
+    for (const neighbor of neighborsOf(pixel, width, height)) {
+      if (mask[neighbor] && !queued[neighbor]) {
+        order[tail++] = neighbor;
+        queued[neighbor] = 1;
+      }
+    }
+  }
+
+  // Smooth out the streaks of the inward propagation; pixels in regions with
+  // no kept pixels around them at all (the whole image) were never reached
+  for (let pass = 0; pass < DIFFUSION_PASSES; pass++) {
+    for (let i = 0; i < tail; i++) {
+      average(order[i], known);
+    }
+  }
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    if (mask[pixel] && !queued[pixel]) setColor(data, pixel, EMPTY_COLOR);
+  }
+}
+
+function fillPixelate(png, mask, pixelSize) {
+  const { width, height, data } = png;
+  fillDiffuse(png, mask);
+  for (let by = 0; by < height; by += pixelSize) {
+    for (let bx = 0; bx < width; bx += pixelSize) {
+      const pixels = [];
+      for (let y = by; y < Math.min(by + pixelSize, height); y++) {
+        for (let x = bx; x < Math.min(bx + pixelSize, width); x++) {
+          if (mask[y * width + x]) pixels.push(y * width + x);
+        }
+      }
+      if (pixels.length === 0) continue;
+      const color = [0, 1, 2].map(c =>
+        Math.round(pixels.reduce((sum, pixel) => sum + data[pixel * 4 + c], 0) / pixels.length));
+      pixels.forEach(pixel => setColor(data, pixel, color));
+    }
+  }
+}
+
+function fillLabel(png, mask) {
+  const { width, height, data } = png;
+  const seen = new Uint8Array(mask.length);
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    // Paint one connected region, keeping track of its bounding box
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const pixel = stack.pop();
+      const x = pixel % width, y = Math.floor(pixel / width);
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+      setColor(data, pixel, MASK_COLOR);
+      for (const neighbor of neighborsOf(pixel, width, height)) {
+        if (mask[neighbor] && !seen[neighbor]) {
+          seen[neighbor] = 1;
+          stack.push(neighbor);
+        }
+      }
+    }
+
+    // The largest label, with a margin, that lies entirely inside the region
+    const boxWidth = maxX - minX + 1, boxHeight = maxY - minY + 1;
+    for (let scale = MAX_LABEL_SCALE; scale >= 1; scale--) {
+      const labelWidth = LABEL_WIDTH * scale, labelHeight = LABEL_HEIGHT * scale;
+      if (labelWidth + 2 * scale > boxWidth || labelHeight + 2 * scale > boxHeight) continue;
+      const left = minX + Math.floor((boxWidth - labelWidth) / 2);
+      const top = minY + Math.floor((boxHeight - labelHeight) / 2);
+      let fits = true;
+      for (let y = top - scale; fits && y < top + labelHeight + scale; y++) {
+        for (let x = left - scale; fits && x < left + labelWidth + scale; x++) {
+          fits = !!mask[y * width + x];
+        }
+      }
+      if (!fits) continue;
+
+      [...LABEL].forEach((letter, i) => {
+        GLYPHS[letter].forEach((row, gy) => {
+          [...row].forEach((bit, gx) => {
+            if (bit !== '1') return;
+            for (let y = 0; y < scale; y++) {
+              for (let x = 0; x < scale; x++) {
+                setColor(data, (top + gy * scale + y) * width + left + (i * 6 + gx) * scale + x, LABEL_COLOR);
+              }
+            }
+          });
+        });
+      });
+      break;
+    }
+  }
+}
+
+/**
+ * The pixels to redact in an image of width×height tiled by tileSize: those
+ * of the given tiles ({ tx, ty }), and the partial tiles along the right and
+ * bottom edges, which are never compared. Returns a mask with one entry per
+ * pixel, row by row.
+ */
+function redactionMask({ width, height, tileSize }, redactedTiles) {
+  const mask = new Uint8Array(width * height);
+  for (const { tx, ty } of redactedTiles) {
+    for (let y = ty * tileSize; y < (ty + 1) * tileSize; y++) {
+      mask.fill(1, y * width + tx * tileSize, y * width + (tx + 1) * tileSize);
+    }
+  }
+  const comparedWidth = Math.floor(width / tileSize) * tileSize;
+  const comparedHeight = Math.floor(height / tileSize) * tileSize;
+  for (let y = 0; y < height; y++) {
+    mask.fill(1, y * width + (y < comparedHeight ? comparedWidth : 0), (y + 1) * width);
+  }
+  return mask;
+}
+
+/**
+ * Fills the redacted pixels of an image in place. mask has one entry per
+ * pixel, row by row, set for the pixels to fill; fill is one of FILLS.
+ * tileSize is the grid of the "average" fill and pixelSize the block size of
+ * "pixelate".
+ */
+function fillRedacted(png, mask, { fill = 'average', tileSize, pixelSize = 16 } = {}) {
+  switch (fill) {
+    case 'average': return fillAverage(png, mask, tileSize);
+    case 'mask': return fillMask(png, mask);
+    case 'pixelate': return fillPixelate(png, mask, pixelSize);
+    case 'label': return fillLabel(png, mask);
+    case 'diffuse': return fillDiffuse(png, mask);
+    default: throw new Error(`Unknown fill: ${fill}`);
+  }
+}
+
+/**
+ * An alpha mask of the redacted pixels, for compositing or review: opaque
+ * white where the mask is set, fully transparent elsewhere.
+ */
+function maskImage(mask, width, height) {
+  const png = new PNG({ width, height });
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    png.data.fill(mask[pixel] ? 255 : 0, pixel * 4, pixel * 4 + 4);
+  }
+  return png;
+}
+
+module.exports = { FILLS, redactionMask, fillRedacted, maskImage };
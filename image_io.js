@@ -0,0 +1,139 @@
+// Reading and writing images for image PSI (psi_image.js --file and --output).
+//
+// Tiles are compared pixel by pixel, so both peers must decode their images
+// to exactly the same RGBA values. Every input goes through sharp the same
+// way:
+//
+// - EXIF orientation is applied, so a rotated phone screenshot is upright
+// - colors are converted to sRGB using the embedded ICC profile, if any
+//   (Display P3 screenshots, CMYK JPEGs), and to 8 bits per channel
+// - transparency is flattened onto white, so the color hidden under
+//   transparent pixels is neither compared nor kept in the output
+// - all pages of a multi-page image (TIFF, GIF, animated WebP, PDF) are
+//   stacked top to bottom into one image
+//
+// PDF pages are rendered at PDF_DPI by sharp where its libvips was built with
+// poppler, and otherwise by pdftoppm (poppler-utils), as the prebuilt sharp
+// binaries can't read PDF. Both peers must render a PDF with the same
+// renderer for their pages to match.
+//
+// The result is a pngjs PNG, which the rest of psi_image.js works on.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { PNG } = require('pngjs');
+
+const execFileAsync = promisify(execFile);
+
+// Resolution at which PDF pages are rendered
+const PDF_DPI = 144;
+
+// Output formats by file extension
+const OUTPUT_FORMATS = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.webp': 'webp',
+  '.avif': 'avif'
+};
+
+/**
+ * The sharp output format for a file path, by its extension, or null if it
+ * isn't one of OUTPUT_FORMATS.
+ */
+function outputFormat(filePath) {
+  return OUTPUT_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Decodes an image to normalized raw RGBA: { data, info }
+function decode(filePath, inputOptions = {}) {
+  return sharp(filePath, inputOptions)
+    .rotate()
+    .toColourspace('srgb')
+    .flatten({ background: '#ffffff' })
+    .ensureAlpha()
+    .raw({ depth: 'uchar' })
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Decodes an image file of any format sharp reads, or a PDF, into a
+ * normalized RGBA PNG. Returns { png, pages, format }.
+ */
+async function readImage(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.pdf' && !sharp.format.pdf.input.file) {
+    return readPdf(filePath);
+  }
+  const metadata = await sharp(filePath).metadata();
+
+  const { data, info } = await decode(filePath, { pages: -1, density: PDF_DPI });
+
+  const png = new PNG({ width: info.width, height: info.height });
+  data.copy(png.data);
+  return { png, pages: metadata.pages || 1, format: metadata.format };
+}
+
+/**
+ * Renders the pages of a PDF with pdftoppm and stacks them top to bottom,
+ * like sharp stacks the pages of other formats (narrower pages are padded
+ * with white on the right). Returns the same as readImage.
+ */
+async function readPdf(filePath) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psi-pdf-'));
+  try {
+    try {
+      await execFileAsync('pdftoppm', ['-png', '-r', String(PDF_DPI), filePath, path.join(dir, 'page')]);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error('reading PDF needs pdftoppm (poppler-utils) on the PATH, as this build of sharp can\'t read PDF');
+      }
+      throw new Error(`pdftoppm could not render ${filePath}: ${(err.stderr || err.message).trim()}`);
+    }
+
+    // pdftoppm pads the page numbers, so the file names sort in page order
+    const pageFiles = fs.readdirSync(dir).filter(name => name.endsWith('.png')).sort();
+    if (pageFiles.length === 0) {
+      throw new Error(`pdftoppm rendered no pages of ${filePath}`);
+    }
+    const pages = [];
+    for (const pageFile of pageFiles) {
+      pages.push(await decode(path.join(dir, pageFile)));
+    }
+
+    const width = Math.max(...pages.map(({ info }) => info.width));
+    const height = pages.reduce((total, { info }) => total + info.height, 0);
+    const png = new PNG({ width, height });
+    png.data.fill(255);
+    let top = 0;
+    for (const { data, info } of pages) {
+      for (let y = 0; y < info.height; y++) {
+        data.copy(png.data, (top + y) * width * 4, y * info.width * 4, (y + 1) * info.width * 4);
+      }
+      top += info.height;
+    }
+    return { png, pages: pages.length, format: 'pdf' };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Encodes an RGBA PNG to a file, in the format given by its extension.
+ * Lossy formats are written at their highest quality, as the kept pixels
+ * are the point of the output.
+ */
+async function writeImage(png, filePath) {
+  const format = outputFormat(filePath);
+  if (!format) {
+    throw new Error(`Unsupported output format: ${filePath}`);
+  }
+  const image = sharp(png.data, { raw: { width: png.width, height: png.height, channels: 4 } });
+  const encoderOptions = format === 'png' ? {} : format === 'avif' ? { lossless: true } : { quality: 100 };
+  await image.toFormat(format, encoderOptions).toFile(filePath);
+}
+
+module.exports = { OUTPUT_FORMATS, outputFormat, readImage, writeImage };
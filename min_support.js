@@ -0,0 +1,66 @@
+// Minimum-support threshold for intersected elements (psi.js --background
+// and --min-support).
+//
+// PSI keeps whatever both peers have, but an element only the two of them
+// have can still identify them: a rare username both were shown, or a
+// session-specific string two accounts of the same person share. Counting
+// how many captures in a background corpus (e.g. prior anonymized captures
+// of the same site) contain each intersected element tells common content
+// from rare content, and elements with too little support are redacted.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The capture files under the given paths: files as they are, and every
+ * file in a directory and its subdirectories, in a stable order.
+ */
+function listCaptures(paths) {
+  const files = [];
+  const visit = (filePath) => {
+    if (fs.statSync(filePath).isDirectory()) {
+      fs.readdirSync(filePath).sort().forEach(name => visit(path.join(filePath, name)));
+    } else {
+      files.push(filePath);
+    }
+  };
+  paths.forEach(visit);
+  return files;
+}
+
+/**
+ * A rough estimate of the entropy of a string in bits: its length times the
+ * bits per character of the character classes it uses (digits, lower case,
+ * upper case, anything else). It overestimates words, which is the safe side
+ * here: more elements are checked for support, not fewer.
+ */
+function estimateEntropy(text) {
+  const pool = (/[0-9]/.test(text) ? 10 : 0)
+    + (/[a-z]/.test(text) ? 26 : 0)
+    + (/[A-Z]/.test(text) ? 26 : 0)
+    + (/[^0-9a-zA-Z]/.test(text) ? 33 : 0);
+  return pool > 0 ? text.length * Math.log2(pool) : 0;
+}
+
+/**
+ * Counts the support of elements in a background corpus: for each element,
+ * the number of captures (each an array of elements) that contain it.
+ * Only the given elements are counted, so memory use doesn't grow with the
+ * corpus. Returns a Map of element -> support.
+ */
+function countSupport(elements, captures) {
+  const support = new Map();
+  for (const element of elements) {
+    support.set(element, 0);
+  }
+  for (const captureElements of captures) {
+    for (const element of new Set(captureElements)) {
+      if (support.has(element)) {
+        support.set(element, support.get(element) + 1);
+      }
+    }
+  }
+  return support;
+}
+
+module.exports = { listCaptures, estimateEntropy, countSupport };
@@ -0,0 +1,338 @@
+// Mutual peer authentication with pinned Ed25519 identity keys.
+//
+// Each node has a long-lived identity key and a --trusted-peers file listing
+// the public keys it is willing to run PSI with. Before any PSI message is
+// exchanged, the two nodes run a signed ephemeral key exchange:
+//
+//   client -> POST /handshake { identity, ephemeral, signature }
+//     signature = Sign(client identity key, "psi-client" | client ephemeral)
+//   server -> { identity, ephemeral, session, signature }
+//     signature = Sign(server identity key, "psi-server" | client ephemeral | server ephemeral | session)
+//
+// Either side drops the connection if the other's identity is not pinned or
+// its signature does not verify. The X25519 shared secret of the ephemeral
+// keys is expanded with HKDF into one AES-256-GCM key per direction, and every
+// later request is sent sealed to POST /sealed with an X-PSI-Session header.
+// The sealed payload carries the original method, path and headers, so the
+// PSI request handlers themselves do not change.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// How far behind the highest sequence number seen in a session a request may
+// arrive (requests can overtake each other); older ones are refused as replays
+const REPLAY_WINDOW = 1024;
+
+/**
+ * Loads an Ed25519 identity key (a JWK file), generating one if it doesn't exist.
+ * Returns { privateKey, publicKey } where publicKey is the base64url string
+ * that other peers put in their --trusted-peers file.
+ */
+function loadIdentity(filePath) {
+  if (!fs.existsSync(filePath)) {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(filePath, JSON.stringify(privateKey.export({ format: 'jwk' }), null, 2) + '\n', { mode: 0o600 });
+    console.error(`Generated new identity key at ${filePath}`);
+  }
+  const jwk = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    privateKey: crypto.createPrivateKey({ key: jwk, format: 'jwk' }),
+    publicKey: jwk.x
+  };
+}
+
+/**
+ * Reads a trusted peers file: one public key per line, optionally followed by
+ * a name for logging. Everything after a '#' is a comment.
+ * Returns a Map of public key -> name.
+ */
+function loadTrustedPeers(filePath) {
+  const peers = new Map();
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const [key, ...name] = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (key) {
+      peers.set(key, name.join(' ') || key);
+    }
+  }
+  return peers;
+}
+
+function importPublicKey(x, crv) {
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv, x }, format: 'jwk' });
+}
+
+function sign(privateKey, ...parts) {
+  return crypto.sign(null, Buffer.from(parts.join('|')), privateKey).toString('base64');
+}
+
+function verify(identity, signature, ...parts) {
+  try {
+    return crypto.verify(null, Buffer.from(parts.join('|')), importPublicKey(identity, 'Ed25519'), Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+function createEphemeral() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+  return { privateKey, publicKey: publicKey.export({ format: 'jwk' }).x };
+}
+
+// One AES-256-GCM key per direction from the ephemeral X25519 shared secret
+function deriveKeys(ephemeral, peerEphemeral, clientEphemeral, serverEphemeral) {
+  const shared = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: importPublicKey(peerEphemeral, 'X25519')
+  });
+  const keys = Buffer.from(crypto.hkdfSync('sha256', shared, `${clientEphemeral}|${serverEphemeral}`, 'psi-peer-auth', 64));
+  return { clientToServer: keys.subarray(0, 32), serverToClient: keys.subarray(32) };
+}
+
+// Sealed message: iv | AES-GCM(4-byte header length | JSON header | body) | tag
+function seal(key, header, body) {
+  const headerBytes = Buffer.from(JSON.stringify(header));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(headerBytes.length);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([headerLength, headerBytes, Buffer.from(body)])),
+    cipher.final()
+  ]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+  const plaintext = Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+  const headerLength = plaintext.readUInt32BE(0);
+  return {
+    header: JSON.parse(plaintext.subarray(4, 4 + headerLength).toString()),
+    body: plaintext.subarray(4 + headerLength)
+  };
+}
+
+/**
+ * Server side. wrap(handler) turns a Bun.serve fetch handler into one that
+ * only answers authenticated peers; the handler is called as
+ * handler(req, httpServer, peerId) with the peer's pinned public key.
+ */
+function createPeerAuthServer({ identity, trustedPeers, sessionTtlMs = 60 * 60 * 1000 }) {
+  // session id -> { peer, keys, highestSeq, seenSeqs, createdAt }, where
+  // seenSeqs are the sequence numbers seen within REPLAY_WINDOW of highestSeq
+  const sessions = new Map();
+
+  function pruneSessions() {
+    for (const [id, session] of sessions) {
+      if (session.createdAt < Date.now() - sessionTtlMs) {
+        sessions.delete(id);
+      }
+    }
+  }
+
+  async function handshake(req) {
+    const hello = await req.json().catch(() => ({}));
+    if (!trustedPeers.has(hello.identity)) {
+      console.error(`Rejected handshake from untrusted peer ${hello.identity}`);
+      return new Response('Untrusted peer', { status: 403 });
+    }
+    if (!verify(hello.identity, hello.signature || '', 'psi-client', hello.ephemeral)) {
+      console.error(`Rejected handshake with a bad signature from ${trustedPeers.get(hello.identity)}`);
+      return new Response('Invalid handshake signature', { status: 401 });
+    }
+
+    pruneSessions();
+    const ephemeral = createEphemeral();
+    const session = crypto.randomBytes(16).toString('hex');
+    sessions.set(session, {
+      peer: hello.identity,
+      keys: deriveKeys(ephemeral, hello.ephemeral, hello.ephemeral, ephemeral.publicKey),
+      highestSeq: 0,
+      seenSeqs: new Set(),
+      createdAt: Date.now()
+    });
+    console.error(`Authenticated peer ${trustedPeers.get(hello.identity)}`);
+
+    return Response.json({
+      identity: identity.publicKey,
+      ephemeral: ephemeral.publicKey,
+      session,
+      signature: sign(identity.privateKey, 'psi-server', hello.ephemeral, ephemeral.publicKey, session)
+    });
+  }
+
+  async function handleSealed(req, httpServer, handler) {
+    const session = sessions.get(req.headers.get('x-psi-session'));
+    if (!session || session.createdAt < Date.now() - sessionTtlMs) {
+      return new Response('Unknown or expired session', { status: 401 });
+    }
+
+    let message;
+    try {
+      message = open(session.keys.clientToServer, Buffer.from(await req.arrayBuffer()));
+    } catch (err) {
+      return new Response('Invalid sealed request', { status: 400 });
+    }
+    const { method, path, headers, seq } = message.header;
+    if (!Number.isInteger(seq) || seq <= session.highestSeq - REPLAY_WINDOW || session.seenSeqs.has(seq)) {
+      return new Response('Replayed request', { status: 400 });
+    }
+    session.seenSeqs.add(seq);
+    if (seq > session.highestSeq) {
+      session.highestSeq = seq;
+      for (const seen of session.seenSeqs) {
+        if (seen <= seq - REPLAY_WINDOW) session.seenSeqs.delete(seen);
+      }
+    }
+
+    const innerRequest = new Request(new URL(path, req.url), {
+      method,
+      headers,
+      body: method === 'GET' || method === 'HEAD' ? undefined : message.body
+    });
+    const response = await handler(innerRequest, httpServer, session.peer);
+    const responseBody = Buffer.from(await response.arrayBuffer());
+
+    return new Response(seal(session.keys.serverToClient, {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      seq
+    }, responseBody), {
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+  }
+
+  function wrap(handler) {
+    return async (req, httpServer) => {
+      const url = new URL(req.url);
+      if (req.method === 'POST' && url.pathname === '/handshake') {
+        return handshake(req);
+      }
+      if (req.method === 'POST' && url.pathname === '/sealed') {
+        return handleSealed(req, httpServer, handler);
+      }
+      return new Response('Peer authentication required', { status: 401 });
+    };
+  }
+
+  return { wrap };
+}
+
+/**
+ * Client side. Returns a fetch-compatible function that performs the
+ * handshake once per origin (and again once the peer has expired the
+ * session) and sends every request sealed to the peer.
+ * Its identityOf(origin) method resolves to the peer's public key.
+ */
+function createPeerFetch({ identity, trustedPeers }) {
+  // origin -> Promise<{ peer, session, keys, seq }>
+  const channels = new Map();
+
+  async function handshake(origin) {
+    const ephemeral = createEphemeral();
+    const res = await fetch(`${origin}/handshake`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        identity: identity.publicKey,
+        ephemeral: ephemeral.publicKey,
+        signature: sign(identity.privateKey, 'psi-client', ephemeral.publicKey)
+      })
+    });
+    if (!res.ok) {
+      throw new Error(`Handshake with ${origin} failed: ${res.status} ${await res.text()}`);
+    }
+
+    const reply = await res.json();
+    if (!trustedPeers.has(reply.identity)) {
+      throw new Error(`Peer at ${origin} presented an untrusted identity ${reply.identity}`);
+    }
+    if (!verify(reply.identity, reply.signature || '', 'psi-server', ephemeral.publicKey, reply.ephemeral, reply.session)) {
+      throw new Error(`Peer at ${origin} sent an invalid handshake signature`);
+    }
+
+    console.error(`Authenticated peer ${trustedPeers.get(reply.identity)} at ${origin}`);
+    return {
+      peer: reply.identity,
+      session: reply.session,
+      keys: deriveKeys(ephemeral, reply.ephemeral, ephemeral.publicKey, reply.ephemeral),
+      seq: 0
+    };
+  }
+
+  function channelFor(origin) {
+    if (!channels.has(origin)) {
+      const channel = handshake(origin);
+      channels.set(origin, channel);
+      // A failed handshake is tried again on the next request
+      channel.catch(() => channels.get(origin) === channel && channels.delete(origin));
+    }
+    return channels.get(origin);
+  }
+
+  async function peerFetch(url, init = {}) {
+    const target = new URL(url);
+    const body = init.body ? new Uint8Array(await new Response(init.body).arrayBuffer()) : new Uint8Array();
+
+    const pending = channelFor(target.origin);
+    const res = await sendSealed(target, init, body, await pending);
+    if (res) {
+      return res;
+    }
+    // The peer no longer knows our session (it expired or the peer
+    // restarted): run the handshake again, once
+    if (channels.get(target.origin) === pending) {
+      channels.delete(target.origin);
+    }
+    const retried = await sendSealed(target, init, body, await channelFor(target.origin));
+    if (!retried) {
+      throw new Error(`Peer at ${target.origin} refused a fresh session`);
+    }
+    return retried;
+  }
+
+  // Sends one request sealed in a session, and returns the unsealed response,
+  // or null if the peer doesn't know the session
+  async function sendSealed(target, init, body, channel) {
+    const seq = ++channel.seq;
+    const res = await fetch(`${target.origin}/sealed`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-PSI-Session': channel.session
+      },
+      body: seal(channel.keys.clientToServer, {
+        method: init.method || 'GET',
+        path: target.pathname + target.search,
+        headers: Object.fromEntries(new Headers(init.headers)),
+        seq
+      }, body)
+    });
+    if (res.status === 401) {
+      return null;
+    }
+    if (!res.ok) {
+      return res;
+    }
+
+    const { header, body: responseBody } = open(channel.keys.serverToClient, Buffer.from(await res.arrayBuffer()));
+    if (header.seq !== seq) {
+      throw new Error(`Sealed response from ${target.origin} does not match the request`);
+    }
+    return new Response(responseBody.length > 0 ? responseBody : null, {
+      status: header.status,
+      headers: header.headers
+    });
+  }
+
+  // The pinned public key of the peer that answered at an origin, if any
+  peerFetch.identityOf = async origin => {
+    const channel = channels.get(origin);
+    return channel ? (await channel).peer : null;
+  };
+
+  return peerFetch;
+}
+
+module.exports = { loadIdentity, loadTrustedPeers, createPeerAuthServer, createPeerFetch };
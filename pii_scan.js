@@ -0,0 +1,120 @@
+// Review of PSI output for identifiers that survived redaction (psi.js
+// --pii-scan).
+//
+// Content both archivists have is not necessarily public: a page served to
+// two logged-in accounts of the same person, or a name both captures share,
+// is kept by the intersection like anything else. This scans what the output
+// keeps for the identifiers that most often leak that way, so they can be
+// reviewed or redacted before the output is shared. It is a safety net, not
+// a guarantee: anything it has no pattern for still needs a human look.
+
+const fs = require('fs');
+const { redactedRanges, elementRanges } = require('./redaction.mjs');
+
+// Where matches overlap only the first and widest is reported, so a JWT in
+// a Cookie header is reported once, as a cookie
+const PATTERNS = [
+  ['jwt', /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g],
+  // The value of a Cookie or Set-Cookie header
+  ['cookie', /\b(?:set-)?cookie\s*:\s*([^\r\n]+)/dgi],
+  // A value named like a CSRF or session token, API key or password, as in
+  // csrf_token=..., "sessionId": "...", or name="authenticity_token" value="..."
+  ['token', /[\w-]*(?:csrf|xsrf|token|session|sessid|sid|auth|api[_-]?key|secret|passw(?:or)?d)[\w-]*["']?\s*(?:[:=]|value\s*=)\s*["']?((?=[^"'\s;&]*\d)[A-Za-z0-9+/_.~%-]{12,}={0,2})/dgi],
+  ['email', /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g],
+  // With separators between the groups of digits, or in international
+  // format, so that dates, IDs and timestamps don't match
+  ['phone', /(?<![\w+])(?:(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}|\+\d{8,15})(?![\w-])/g]
+];
+
+/**
+ * Reads a deny-list file: one name or other string per line, with blank
+ * lines and lines starting with # ignored.
+ */
+function loadDenyList(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Creates a scanner for the built-in patterns plus a deny-list of names,
+ * which match case-insensitively as whole words.
+ *
+ * Returns {
+ *   scanText(text): [{ kind, start, end, text }] for every identifier in text,
+ *   scanOutput(tokenized, intersection): the findings in what redact() keeps
+ *     of tokenized content, each with the indices of the kept elements it
+ *     is in ({ ..., elements })
+ * }
+ */
+function createPiiScanner({ denyList = [] } = {}) {
+  const patterns = PATTERNS.slice();
+  if (denyList.length > 0) {
+    // Longest first, so that "Jane Doe" wins over "Jane"
+    const names = denyList.slice().sort((a, b) => b.length - a.length).map(escapeRegExp);
+    patterns.push(['name', new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.join('|')})(?![\\p{L}\\p{N}])`, 'giu')]);
+  }
+
+  function scanText(text) {
+    const found = [];
+    for (const [kind, pattern] of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        // Patterns with a group only flag the value, not its name
+        const [start, end] = match.indices?.[1] || [match.index, match.index + match[0].length];
+        found.push({ kind, start, end, text: text.slice(start, end) });
+      }
+    }
+
+    const findings = [];
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    for (const finding of found) {
+      const last = findings[findings.length - 1];
+      if (!last || finding.start >= last.end) {
+        findings.push(finding);
+      }
+    }
+    return findings;
+  }
+
+  function scanOutput(tokenized, intersection) {
+    const { originalContent } = tokenized;
+    const indexSet = intersection instanceof Set ? intersection : new Set(intersection);
+
+    // For each character of the original content: whether redact() replaces
+    // it, and which element it belongs to (-1 for none)
+    const redacted = new Uint8Array(originalContent.length);
+    for (const [start, end] of redactedRanges(tokenized, indexSet)) {
+      redacted.fill(1, start, end);
+    }
+    const owner = new Int32Array(originalContent.length).fill(-1);
+    elementRanges(tokenized).forEach((ranges, idx) => {
+      for (const [start, end] of ranges) {
+        owner.fill(idx, start, end);
+      }
+    });
+
+    // A finding is left in the output if any character of it is, other than
+    // whitespace (which is never redacted)
+    const findings = [];
+    for (const finding of scanText(originalContent)) {
+      let kept = false;
+      const elements = new Set();
+      for (let pos = finding.start; pos < finding.end; pos++) {
+        if (redacted[pos] || !/\S/.test(originalContent[pos])) continue;
+        kept = true;
+        if (indexSet.has(owner[pos])) elements.add(owner[pos]);
+      }
+      if (kept) {
+        findings.push({ ...finding, elements: [...elements] });
+      }
+    }
+    return findings;
+  }
+
+  return { scanText, scanOutput };
+}
+
+module.exports = { loadDenyList, createPiiScanner };
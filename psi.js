@@ -4,60 +4,95 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const { program } = require('commander');
 const PSI = require('@openmined/psi.js');
+const { createQueryBudget } = require('./query_budget');
+const { openCatalog } = require('./catalog');
+const { loadDenyList, createPiiScanner } = require('./pii_scan');
+const { listCaptures, estimateEntropy, countSupport } = require('./min_support');
+const { loadIdentity, loadTrustedPeers, createPeerAuthServer, createPeerFetch } = require('./peer_auth');
+const { getHeader, readWarc, writeWarcRecord, parseHttpMessage, writeHttpMessage } = require('./warc');
+const { bucketElements, spillBuckets, createIndexBitmap } = require('./chunking');
 const crypto = require('crypto');
+const {
+  SPLIT_MODES,
+  REDACTION_STYLES,
+  randomSalt,
+  tokenize,
+  streamSegments,
+  redact,
+  highlight,
+  createSegmentRenderer,
+  redactedRanges,
+  createIntersectionServer,
+  createIntersectionClient,
+  intersect
+} = require('./redaction.mjs');
 
-// Create a hash-based redaction that is consistent for the same input
-function createConsistentRedaction(text, salt = 'psi-redaction-salt-8675309') {
-  // Use cache for consistent replacements
-  const cacheKey = text;
-  if (redactionCache.has(cacheKey)) {
-    return redactionCache.get(cacheKey);
-  }
-  
-  // Create a hash of the text + salt using SHA-256
-  const hash = crypto.createHash('sha256').update(text + salt).digest('hex');
-  
-  // Use the hash to generate a pseudorandom sequence of the same length
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  
-  // Generate a redaction of the same length as the original text
-  for (let i = 0; i < text.length; i++) {
-    // Use a different part of the hash for each character to improve randomness
-    const hashIndex = i % (hash.length - 1);
-    const value = parseInt(hash.substr(hashIndex, 2), 16);
-    const randomIndex = value % chars.length;
-    result += chars[randomIndex];
-  }
-  
-  // Store in cache for future use
-  redactionCache.set(cacheKey, result);
-  return result;
+// Collect repeated or comma-separated --client peers into a list
+function collectPeers(value, previous = []) {
+  return previous.concat(value.split(',').map(peer => peer.trim()).filter(Boolean));
 }
 
-// Cache for redaction values to ensure consistent replacement
-const redactionCache = new Map();
+// Collect repeated options into a list
+function collectValues(value, previous = []) {
+  return previous.concat(value);
+}
 
 // CLI options
 program
   .option('-s, --server', 'Run as server')
-  .option('-c, --client <host:port>', 'Run as client and connect to server')
+  .option('-c, --client <host:port>', 'Run as client and connect to server (repeat or comma-separate for multiple peers)', collectPeers)
+  .option('--threshold <k>', 'Keep elements present at at least k of the --client peers (default: all peers)')
   .option('-h, --host <host>', 'Host to bind server to', '0.0.0.0')
   .option('-p, --port <port>', 'Port to bind server to', '5995')
-  .option('-f, --file <path>', 'Path to file with data for PSI')
+  .option('-f, --file <path>', 'Path to file with data for PSI (.warc and .warc.gz are read record by record)')
+  .option('--catalog <dir>', 'Server: serve every capture in this catalog directory instead of a single --file, and accept new captures from localhost')
+  .option('--capture <id|url>', 'Client: which capture of a --catalog server to intersect against, by id or URL (the latest capture of the URL unless --capture-time is given)')
+  .option('--capture-time <time>', 'Client: capture time of the --capture URL to select')
   .option('--fpr <rate>', 'False positive rate (default: 0.001)', '0.001')
   .option('--reveal-intersection', 'Reveal the actual intersection instead of just the size')
+  .option('--min-overlap <ratio>', 'Client: before revealing, run a size-only preflight with each peer and stop unless at least this fraction (0-1) of our elements is shared')
+  .option('--max-dropped <n>', 'Client: before revealing, run a size-only preflight with each peer and stop if more than n of our elements would be dropped')
   .option('--highlight', 'Output the full file with intersection elements highlighted in green, non-intersection in red')
-  .option('--redact', 'Output the full file with non-intersection elements replaced by X characters of the same length')
-  .option('--split <mode>', 'Split mode: "line", "word", or "char" (default: "line")', 'line')
+  .option('--redact', 'Output the full file with non-intersection elements redacted')
+  .option('--redaction-scope <name>', 'Redact the same text the same way in every run that uses this collection name (default: consistent within one run only)')
+  .option('--redaction-key <path>', 'Secret key for --redaction-scope (created if missing)', path.join(os.homedir(), '.psi-redaction-key'))
+  .option('--redaction-style <style>', 'How --redact replaces text: "hash", "placeholder", "bucket", "format", "remove" or "html" (see README for what each leaks)', 'hash')
+  .option('--background <path>', 'Client: prior capture, or directory of captures, of the same site to count --min-support in (repeat for more)', collectValues)
+  .option('--min-support <k>', 'Client: redact intersected elements that fewer than k of the --background captures contain')
+  .option('--min-support-entropy <bits>', 'Client: with --min-support, keep elements of less than this estimated entropy whatever their support', '0')
+  .option('--pii-scan', 'Client: scan what the output keeps for emails, phone numbers, tokens, JWTs and cookies, and warn about them')
+  .option('--pii-deny-list <path>', 'Client: file of names (one per line) to warn about too; implies --pii-scan')
+  .option('--pii-redact', 'Client: also redact the elements that hold what --pii-scan finds; implies --pii-scan')
+  .option('--split <mode>', 'Split mode: "line", "word", "char", or "dom" (default: "line")', 'line')
+  .option('--chunk-size <n>', 'Client: intersect in rounds of about n elements each instead of all at once, for very large captures; line, word and char mode files other than WARC are streamed rather than loaded (0 = one round)', '0')
+  .option('--symmetric', 'Run a second PSI round with the roles swapped so the server gets its own output too, and check both sides kept the same content (both sides must use it)')
+  .option('--result-dir <dir>', 'Server with --symmetric: directory to write each client\'s output to', '.')
+  .option('--output <path>', 'Client: write the output to this file instead of stdout; with --redact, the redaction style and scope are recorded next to it in <path>.meta.json')
+  .option('--report <format>', 'Client: print a machine-readable report of the run ("json") instead of the usual output')
+  .option('--report-file <path>', 'Client: write the --report to this file and keep the usual output on stdout')
+  .option('--identity <path>', 'Path to this node\'s identity key (created if missing)', path.join(os.homedir(), '.psi-identity.json'))
+  .option('--trusted-peers <path>', 'File of peer public keys to allow; enables mutual authentication')
+  .option('--show-identity', 'Print this node\'s public key (to put in a peer\'s --trusted-peers file) and exit')
+  .option('--max-sessions <n>', 'Server: maximum PSI sessions per client within --budget-window, 0 for unlimited', '10')
+  .option('--max-elements <n>', 'Server: maximum total elements queried per client within --budget-window, 0 for unlimited', '0')
+  .option('--hangman-tolerance <n>', 'Server: treat sessions whose element counts differ by at most n as variants of one query', '5')
+  .option('--hangman-repeats <n>', 'Server: number of variant queries in a row flagged as a hang-man attack', '3')
+  .option('--on-hangman <action>', 'Server: "refuse" or "alert" when a hang-man attack is flagged', 'refuse')
+  .option('--budget-window <minutes>', 'Server: sliding window for --max-sessions, --max-elements and hang-man detection; a flagged client is refused for this long', '60')
   .parse(process.argv);
 
 const options = program.opts();
 
+if (options.showIdentity) {
+  console.log(loadIdentity(options.identity).publicKey);
+  process.exit(0);
+}
+
 // Validate required options
-if (!options.file) {
+if (!options.file && !(options.server && options.catalog)) {
   console.error('Error: --file is required');
   process.exit(1);
 }
@@ -67,72 +102,511 @@ if (!options.server && !options.client) {
   process.exit(1);
 }
 
-// Read and process the file
-function readFileContent(filePath, splitMode) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
+if ((options.minOverlap !== undefined || options.maxDropped !== undefined) && !options.revealIntersection) {
+  console.error('Error: --min-overlap and --max-dropped decide whether to reveal, they require --reveal-intersection');
+  process.exit(1);
+}
+
+if (options.minOverlap !== undefined && !(parseFloat(options.minOverlap) >= 0 && parseFloat(options.minOverlap) <= 1)) {
+  console.error(`Error: Invalid --min-overlap: ${options.minOverlap} (expected a ratio between 0 and 1)`);
+  process.exit(1);
+}
+
+if (options.maxDropped !== undefined && !(parseInt(options.maxDropped, 10) >= 0)) {
+  console.error(`Error: Invalid --max-dropped: ${options.maxDropped}`);
+  process.exit(1);
+}
+
+if (options.captureTime && isNaN(Date.parse(options.captureTime))) {
+  console.error(`Error: Invalid capture time: ${options.captureTime}`);
+  process.exit(1);
+}
+
+if (options.catalog && !options.server) {
+  console.error('Error: --catalog is a server option, use --capture to select a capture as a client');
+  process.exit(1);
+}
+
+if (options.background && options.minSupport === undefined) {
+  console.error('Error: --background is the corpus for --min-support, which is missing');
+  process.exit(1);
+}
+
+if (options.minSupport !== undefined) {
+  if (!options.revealIntersection) {
+    console.error('Error: --min-support filters the revealed intersection, it requires --reveal-intersection');
+    process.exit(1);
+  }
+  if (!options.background) {
+    console.error('Error: --min-support requires a --background corpus');
+    process.exit(1);
+  }
+  if (!(parseInt(options.minSupport, 10) >= 1)) {
+    console.error(`Error: Invalid --min-support: ${options.minSupport}`);
+    process.exit(1);
+  }
+}
+
+if (!(parseFloat(options.minSupportEntropy) >= 0)) {
+  console.error(`Error: Invalid --min-support-entropy: ${options.minSupportEntropy}`);
+  process.exit(1);
+}
+
+const piiScan = !!(options.piiScan || options.piiDenyList || options.piiRedact);
+
+if (piiScan && !options.revealIntersection) {
+  console.error('Error: --pii-scan reviews the revealed output, it requires --reveal-intersection');
+  process.exit(1);
+}
+
+if (options.symmetric && !options.revealIntersection) {
+  console.error('Error: --symmetric requires --reveal-intersection');
+  process.exit(1);
+}
+
+if (options.symmetric && options.client && options.client.length > 1) {
+  console.error('Error: --symmetric works with a single --client peer');
+  process.exit(1);
+}
+
+if (!(parseInt(options.chunkSize, 10) >= 0)) {
+  console.error(`Error: Invalid chunk size: ${options.chunkSize}`);
+  process.exit(1);
+}
+
+if (!SPLIT_MODES.includes(options.split)) {
+  console.error(`Invalid split mode: ${options.split}`);
+  process.exit(1);
+}
+
+if (!REDACTION_STYLES.includes(options.redactionStyle)) {
+  console.error(`Invalid redaction style: ${options.redactionStyle}`);
+  process.exit(1);
+}
+
+if (!(parseFloat(options.budgetWindow) > 0)) {
+  console.error(`Error: Invalid --budget-window: ${options.budgetWindow}`);
+  process.exit(1);
+}
+
+if (options.report && options.report !== 'json') {
+  console.error(`Error: Invalid report format: ${options.report} (only "json" is supported)`);
+  process.exit(1);
+}
+
+// With --trusted-peers, both sides must prove they hold a pinned identity key
+// before any PSI message is exchanged
+const peerAuth = options.trustedPeers ? {
+  identity: loadIdentity(options.identity),
+  trustedPeers: loadTrustedPeers(options.trustedPeers)
+} : null;
+const withPeerAuth = peerAuth ? createPeerAuthServer(peerAuth).wrap : handler => handler;
+const peerFetch = peerAuth ? createPeerFetch(peerAuth) : fetch;
+
+// Redactions are consistent within one run, with a fresh random salt. With
+// --redaction-scope they are consistent across a whole collection instead:
+// the salt is derived from a local secret key and the collection name, so
+// only the key holder can check a guess against a redaction.
+function loadRedactionSalt() {
+  if (!options.redactionScope) {
+    return randomSalt();
+  }
+  if (!fs.existsSync(options.redactionKey)) {
+    fs.writeFileSync(options.redactionKey, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+    console.error(`Generated new redaction key at ${options.redactionKey}`);
+  }
+  const key = fs.readFileSync(options.redactionKey, 'utf8').trim();
+  return crypto.createHmac('sha256', key).update(options.redactionScope).digest('hex');
+}
+
+const redactionOptions = { style: options.redactionStyle, salt: loadRedactionSalt() };
+// Recorded with every redacted output (scope null: salted per run), so that
+// whoever reads it knows whether its redactions can be linked to others
+const redactionMetadata = { style: options.redactionStyle, scope: options.redactionScope || null };
+
+const piiScanner = piiScan
+  ? createPiiScanner({ denyList: options.piiDenyList ? loadDenyList(options.piiDenyList) : [] })
+  : null;
+
+// WARC input: only request and response records are used. Every element is
+// prefixed with its record type and target URI, so a single PSI round covers
+// the whole capture and content can only intersect with the record for the
+// same URI on the peer's side (without sending the URIs in the clear). The
+// HTTP start line, each header and the body elements are separate elements.
+function readWarcContent(filePath, splitMode) {
+  const elements = [];
+  const records = [];
+  
+  for (const record of readWarc(fs.readFileSync(filePath))) {
+    const type = getHeader(record.headers, 'WARC-Type');
+    if (type !== 'request' && type !== 'response') continue;
     
-    // Split the content based on the specified mode
-    switch (splitMode) {
-      case 'line':
-        // Split by newlines and filter out empty lines
-        return {
-          elements: content.split(/\r?\n/).filter(line => line.trim().length > 0),
-          originalContent: content,
-          splitMode
-        };
-      
-      case 'word':
-        // Split into words and punctuation treating each as separate tokens
-        const wordElements = [];
-        let currentWord = '';
-        
-        for (let i = 0; i < content.length; i++) {
-          const char = content[i];
-          
-          if (/[a-zA-Z0-9]/.test(char)) {
-            // Alphanumeric characters form words
-            currentWord += char;
-          } else {
-            // End current word if any
-            if (currentWord) {
-              wordElements.push(currentWord);
-              currentWord = '';
-            }
-            
-            // Add whitespace as a token (represented by space)
-            if (/\s/.test(char)) {
-              wordElements.push(' ');
-            } else {
-              // Add punctuation as individual tokens
-              wordElements.push(char);
-            }
-          }
-        }
-        
-        // Add final word if any
-        if (currentWord) {
-          wordElements.push(currentWord);
-        }
-        
-        return {
-          elements: wordElements,
-          originalContent: content,
-          splitMode
-        };
-      
-      case 'char':
-        // Split by individual characters, excluding whitespace
-        return {
-          elements: content.replace(/\s/g, '').split(''),
-          originalContent: content,
-          splitMode
-        };
-      
-      default:
-        console.error(`Invalid split mode: ${splitMode}`);
-        process.exit(1);
+    const prefix = `${type} ${getHeader(record.headers, 'WARC-Target-URI')}\n`;
+    const http = parseHttpMessage(record.block);
+    const entry = {
+      record,
+      http,
+      startLineIdx: elements.push(prefix + http.startLine) - 1,
+      headerIdxs: http.headers.map(([name, value]) => elements.push(`${prefix}${name}: ${value}`) - 1)
+    };
+    
+    // Text bodies use the split mode, anything else is one element (its hash)
+    const contentType = getHeader(http.headers, 'Content-Type') || '';
+    if (/^(text\/|application\/([\w.+-]*json|javascript|[\w.+-]*xml)|image\/svg\+xml)/i.test(contentType)) {
+      entry.body = tokenize(http.body.toString('utf8'), splitMode);
+      entry.bodyOffset = elements.length;
+      for (const element of entry.body.elements) {
+        elements.push(prefix + element);
+      }
+    } else if (http.body.length > 0) {
+      entry.bodyIdx = elements.push(prefix + crypto.createHash('sha256').update(http.body).digest('hex')) - 1;
+    }
+    records.push(entry);
+  }
+  
+  console.error(`Loaded ${records.length} request/response records from WARC ${filePath}`);
+  return { elements, records, splitMode, isWarc: true };
+}
+
+// The indices of a WARC record's body elements in the intersection, relative
+// to the body
+function bodyIndexSet(entry, indexSet) {
+  const bodySet = new Set();
+  for (let idx = 0; idx < entry.body.elements.length; idx++) {
+    if (indexSet.has(entry.bodyOffset + idx)) bodySet.add(idx);
+  }
+  return bodySet;
+}
+
+// Build a new WARC that contains only intersected content: records whose
+// start line (and so URI) is not shared are dropped, as are non-intersecting
+// HTTP headers (Set-Cookie, Authorization, ...) and binary bodies, and text
+// bodies are redacted like any other file
+function redactWarc(warcData, indexSet) {
+  const warcinfoId = `<urn:uuid:${crypto.randomUUID()}>`;
+  const output = [
+    writeWarcRecord('WARC/1.1', [
+      ['WARC-Type', 'warcinfo'],
+      ['WARC-Record-ID', warcinfoId],
+      ['WARC-Date', new Date().toISOString()],
+      ['Content-Type', 'application/warc-fields']
+    ], Buffer.from([
+      'software: html-private-set-intersection',
+      'description: only content shared with the PSI peers',
+      `redaction-style: ${options.redactionStyle}`,
+      `redaction-scope: ${options.redactionScope || 'none (salted per run)'}`
+    ].join('\r\n') + '\r\n'))
+  ];
+  
+  for (const entry of warcData.records) {
+    if (!indexSet.has(entry.startLineIdx)) continue;
+    
+    const headers = entry.http.headers.filter((_, idx) => indexSet.has(entry.headerIdxs[idx]));
+    let body = Buffer.alloc(0);
+    if (entry.body) {
+      body = Buffer.from(redact(entry.body, bodyIndexSet(entry, indexSet), redactionOptions));
+    } else if (indexSet.has(entry.bodyIdx)) {
+      body = entry.http.body;
+    }
+    
+    // Digests and capture details no longer describe the redacted record
+    const warcHeaders = entry.record.headers
+      .filter(([name]) => /^(WARC-Type|WARC-Record-ID|WARC-Date|WARC-Target-URI|WARC-Concurrent-To|Content-Type)$/i.test(name))
+      .concat([['WARC-Warcinfo-ID', warcinfoId]]);
+    output.push(writeWarcRecord(entry.record.version, warcHeaders, writeHttpMessage(entry.http.startLine, headers, body)));
+  }
+  
+  return Buffer.concat(output);
+}
+
+// The output for an intersection of filePath, depending on --highlight /
+// --redact: the highlighted or redacted file, or only the intersecting
+// elements. Redacted WARC output records the redaction metadata in its
+// warcinfo record, and redacted HTML in a comment at the end.
+function formatResult(fileData, indexSet, filePath) {
+  if (options.highlight) {
+    return highlight(fileData, indexSet) + '\n';
+  }
+  if (options.redact) {
+    if (fileData.isWarc) {
+      return redactWarc(fileData, indexSet);
+    }
+    const output = redact(fileData, indexSet, redactionOptions) + '\n';
+    if (fileData.splitMode !== 'dom' && !/\.x?html?$/i.test(filePath)) {
+      return output;
     }
+    return output + redactionComment();
+  }
+  // Only the elements in the intersection, in original file order
+  const intersectionElements = fileData.elements.filter((_, idx) => indexSet.has(idx));
+  return intersectionElements.join('\n') + '\n';
+}
+
+// The redaction metadata as a comment for the end of redacted HTML: JSON, with
+// "--" escaped so that it can't end the comment
+function redactionComment() {
+  return `<!-- psi-redaction ${JSON.stringify(redactionMetadata).replace(/--/g, '-\\u002d')} -->\n`;
+}
+
+// Writes an output file, and with --redact its redaction metadata to
+// <outputPath>.meta.json
+function writeOutput(outputPath, output) {
+  fs.writeFileSync(outputPath, output);
+  writeOutputMetadata(outputPath);
+}
+
+function writeOutputMetadata(outputPath) {
+  if (options.redact) {
+    const metadata = { redaction: redactionMetadata, split: options.split, createdAt: new Date().toISOString() };
+    fs.writeFileSync(`${outputPath}.meta.json`, JSON.stringify(metadata, null, 2) + '\n');
+  }
+}
+
+// formatResult for a streamed file (see openStreamedFile), written to
+// --output or stdout as the file is read again a piece at a time
+async function writeStreamedResult(source, indexSet) {
+  const out = options.output ? fs.createWriteStream(null, { fd: fs.openSync(options.output, 'w') }) : process.stdout;
+  const write = async text => {
+    if (!out.write(text)) await new Promise(resolve => out.once('drain', resolve));
+  };
+  
+  const mode = options.highlight ? 'highlight' : options.redact ? 'redact' : null;
+  const render = mode && createSegmentRenderer(mode, redactionOptions);
+  let written = 0;
+  for await (const batch of readSegments(source.filePath, source.splitMode)) {
+    let text = '';
+    for (const segment of batch) {
+      if (render) {
+        text += render(segment, indexSet);
+      } else if (segment.elementIdx !== undefined && indexSet.has(segment.elementIdx)) {
+        // Only the elements in the intersection, in original file order
+        text += (written++ ? '\n' : '') + segment.element;
+      }
+    }
+    await write(text);
+  }
+  await write('\n');
+  if (options.redact && /\.x?html?$/i.test(source.filePath)) {
+    await write(redactionComment());
+  }
+  
+  if (options.output) {
+    await new Promise((resolve, reject) => out.end(err => err ? reject(err) : resolve()));
+    writeOutputMetadata(options.output);
+  }
+}
+
+// Digest of the elements kept from an intersection, in order. Peers compare
+// this rather than their outputs, whose redacted parts differ even when the
+// intersection is the same.
+function resultDigest(fileData, indexSet) {
+  const kept = fileData.elements.filter((_, idx) => indexSet.has(idx));
+  return crypto.createHash('sha256').update(JSON.stringify(kept)).digest('hex');
+}
+
+// Convert character ranges of a string to UTF-8 byte ranges
+function toByteRanges(content, ranges) {
+  let charOffset = 0;
+  let byteOffset = 0;
+  return ranges.map(([start, end]) => {
+    byteOffset += Buffer.byteLength(content.slice(charOffset, start));
+    const byteStart = byteOffset;
+    byteOffset += Buffer.byteLength(content.slice(start, end));
+    charOffset = end;
+    return [byteStart, byteOffset];
+  });
+}
+
+// What --redact keeps of each WARC record, mirroring redactWarc. Body ranges
+// are byte offsets into the decoded HTTP body.
+function warcRecordReport(warcData, indexSet) {
+  return warcData.records.map(entry => {
+    const record = {
+      type: getHeader(entry.record.headers, 'WARC-Type'),
+      uri: getHeader(entry.record.headers, 'WARC-Target-URI'),
+      kept: indexSet.has(entry.startLineIdx),
+      droppedHeaders: entry.http.headers
+        .filter((_, idx) => !indexSet.has(entry.headerIdxs[idx]))
+        .map(([name]) => name)
+    };
+    if (entry.body) {
+      record.body = 'redacted';
+      record.redactedRanges = toByteRanges(entry.body.originalContent, redactedRanges(entry.body, bodyIndexSet(entry, indexSet)));
+    } else if (entry.bodyIdx !== undefined) {
+      record.body = indexSet.has(entry.bodyIdx) ? 'kept' : 'dropped';
+    }
+    return record;
+  });
+}
+
+// --pii-scan: identifiers left in what the output keeps, as { kind, text,
+// elements, range } where elements are the indices of the elements that hold
+// them and range is in bytes into the file, or into the decoded body of a WARC
+// record (WARC findings also have the record's uri)
+function scanOutputForPii(fileData, indexSet) {
+  const withRange = (content, { kind, text, start, end, elements }) =>
+    ({ kind, text, elements, range: toByteRanges(content, [[start, end]])[0] });
+  
+  if (!fileData.isWarc) {
+    return piiScanner.scanOutput(fileData, indexSet).map(finding => withRange(fileData.originalContent, finding));
+  }
+  
+  const findings = [];
+  for (const entry of fileData.records) {
+    if (!indexSet.has(entry.startLineIdx)) continue;
+    const uri = getHeader(entry.record.headers, 'WARC-Target-URI');
+    
+    // The start line and each header are single elements
+    const lines = [[entry.startLineIdx, entry.http.startLine]].concat(
+      entry.http.headers.map(([name, value], idx) => [entry.headerIdxs[idx], `${name}: ${value}`])
+    );
+    for (const [elementIdx, line] of lines) {
+      if (!indexSet.has(elementIdx)) continue;
+      for (const { kind, text } of piiScanner.scanText(line)) {
+        findings.push({ kind, text, uri, elements: [elementIdx] });
+      }
+    }
+    if (entry.body) {
+      for (const finding of piiScanner.scanOutput(entry.body, bodyIndexSet(entry, indexSet))) {
+        findings.push({
+          ...withRange(entry.body.originalContent, finding),
+          uri,
+          elements: finding.elements.map(idx => entry.bodyOffset + idx)
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+// --min-support: the intersected elements that at least --min-support of the
+// --background captures contain, or whose entropy is too low to identify
+// anyone
+function filterBySupport(fileData, indexSet) {
+  const minSupport = parseInt(options.minSupport, 10);
+  const minEntropy = parseFloat(options.minSupportEntropy);
+  const files = listCaptures(options.background);
+  if (files.length < minSupport) {
+    throw new Error(`--min-support ${minSupport} needs at least ${minSupport} background captures, found ${files.length}`);
+  }
+  
+  // Captures are loaded one at a time, split the same way as our file
+  const captures = (function* () {
+    for (const file of files) {
+      yield loadFileContent(file, fileData.splitMode).elements;
+    }
+  })();
+  const elements = [...indexSet].map(idx => fileData.elements[idx]);
+  const support = countSupport(elements, captures);
+  
+  const keptSet = new Set();
+  for (const idx of indexSet) {
+    const element = fileData.elements[idx];
+    if (support.get(element) >= minSupport || estimateEntropy(element) < minEntropy) {
+      keptSet.add(idx);
+    }
+  }
+  return { keptSet, captures: files.length };
+}
+
+// The address, pinned public key and name of a peer, for the --report
+async function describePeer(peer) {
+  const [host, port] = peer.split(':');
+  const identity = peerAuth
+    ? await peerFetch.identityOf(new URL(`http://${host}:${parseInt(port || '5995', 10)}`).origin)
+    : null;
+  return {
+    address: peer,
+    identity,
+    name: identity ? peerAuth.trustedPeers.get(identity) : null,
+    capture: selectedCaptures.get(peer) || null
+  };
+}
+
+function writeReport(report) {
+  const json = JSON.stringify(report, null, 2) + '\n';
+  if (options.reportFile) {
+    fs.writeFileSync(options.reportFile, json);
+    console.error(`Report written to ${options.reportFile}`);
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+// Read and process a file
+function loadFileContent(filePath, splitMode) {
+  if (/\.warc(\.gz)?$/i.test(filePath)) {
+    return readWarcContent(filePath, splitMode);
+  }
+  return tokenize(fs.readFileSync(filePath, 'utf8'), splitMode);
+}
+
+// Line, word and char mode captures other than WARC can be read from their
+// file a piece at a time, so chunked sessions over them never hold the whole
+// capture in memory
+function isStreamable(filePath, splitMode) {
+  return ['line', 'word', 'char'].includes(splitMode) && !/\.warc(\.gz)?$/i.test(filePath);
+}
+
+// The segments of a streamable capture (see streamSegments), one array per
+// piece read from its file
+function readSegments(filePath, splitMode) {
+  return streamSegments(fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1 << 20 }), splitMode);
+}
+
+// The elements of a streamable capture, one array per piece read from its file
+async function* readElements(filePath, splitMode) {
+  for await (const batch of readSegments(filePath, splitMode)) {
+    yield batch.filter(segment => segment.elementIdx !== undefined).map(segment => segment.element);
+  }
+}
+
+// A streamable --file: { filePath, splitMode, numElements, elements() },
+// which chunked sessions take in place of an array of elements. Exits if the
+// file can't be read.
+async function openStreamedFile(filePath, splitMode) {
+  let numElements = 0;
+  try {
+    for await (const batch of readElements(filePath, splitMode)) numElements += batch.length;
+  } catch (err) {
+    console.error(`Error reading file ${filePath}: ${err.message}`);
+    process.exit(1);
+  }
+  return { filePath, splitMode, numElements, elements: () => readElements(filePath, splitMode) };
+}
+
+// The buckets of a chunked session over an array of elements, or over a
+// streamed file with its buckets spilled to disk: { readParts, remove } as
+// returned by spillBuckets
+async function chunkBuckets(source, salt, numChunks) {
+  if (!Array.isArray(source)) {
+    return spillBuckets(source.elements(), salt, numChunks);
+  }
+  const buckets = bucketElements(source, salt, numChunks);
+  return {
+    *readParts(chunk, maxElements = buckets[chunk].length) {
+      for (let start = 0; start < buckets[chunk].length; start += maxElements) {
+        const indices = buckets[chunk].slice(start, start + maxElements);
+        yield { indices, elements: indices.map(idx => source[idx]) };
+      }
+    },
+    remove() {}
+  };
+}
+
+// The elements of one bucket, each once
+function distinctElements(buckets, chunk) {
+  const elements = new Set();
+  for (const part of buckets.readParts(chunk)) {
+    for (const element of part.elements) elements.add(element);
+  }
+  return [...elements];
+}
+
+// Read and process the --file, exiting if it can't be read
+function readFileContent(filePath, splitMode) {
+  try {
+    return loadFileContent(filePath, splitMode);
   } catch (err) {
     console.error(`Error reading file ${filePath}: ${err.message}`);
     process.exit(1);
@@ -142,60 +616,448 @@ function readFileContent(filePath, splitMode) {
 // Run as server
 async function runServer() {
   const psi = await PSI();
-  const { elements: fileElements } = readFileContent(options.file, options.split);
   const revealIntersection = !!options.revealIntersection;
-  const server = psi.server.createWithNewKey(revealIntersection);
+  const fpr = parseFloat(options.fpr);
+  const queryBudget = createQueryBudget({
+    maxSessions: parseInt(options.maxSessions, 10),
+    maxElements: parseInt(options.maxElements, 10),
+    hangmanTolerance: parseInt(options.hangmanTolerance, 10),
+    hangmanRepeats: parseInt(options.hangmanRepeats, 10),
+    onHangman: options.onHangman,
+    windowMs: parseFloat(options.budgetWindow) * 60 * 1000
+  });
+  
+  // With --catalog we serve every capture in the catalog and clients pick one
+  // with an X-Capture header, otherwise the single --file
+  const catalog = options.catalog ? openCatalog(options.catalog) : null;
+  // A streamable --file is only loaded whole once a session needs all of it
+  const streamedFile = !catalog && isStreamable(options.file, options.split)
+    ? await openStreamedFile(options.file, options.split)
+    : null;
+  const fileCapture = catalog ? null : {
+    id: null,
+    filePath: options.file,
+    fileData: streamedFile ? null : readFileContent(options.file, options.split)
+  };
+  // Captures used from the catalog: id -> capture, least recently used first
+  const loadedCaptures = new Map();
+  const MAX_LOADED_CAPTURES = 4;
   
   console.error(`Server started on ${options.host}:${options.port}`);
-  console.error(`Loaded ${fileElements.length} elements from file using '${options.split}' split mode`);
+  if (catalog) {
+    console.error(`Serving ${catalog.list().length} captures from catalog ${options.catalog} using '${options.split}' split mode`);
+  } else if (streamedFile) {
+    console.error(`Found ${streamedFile.numElements} elements in file using '${options.split}' split mode`);
+  } else {
+    console.error(`Loaded ${fileCapture.fileData.elements.length} elements from file using '${options.split}' split mode`);
+  }
   console.error(`Reveal intersection: ${revealIntersection}`);
-
-  // Create Bun HTTP server
-  const bunServer = Bun.serve({
-    port: parseInt(options.port, 10),
-    hostname: options.host,
+  
+  // Returns the capture a request is for, or an error Response. Its elements
+  // are loaded, unless the request is for a chunked session and the capture
+  // can be streamed from its file.
+  function selectCapture(req, { chunked = false } = {}) {
+    let capture = fileCapture;
+    if (catalog) {
+      const id = req.headers.get('x-capture');
+      if (!id) {
+        return new Response('No capture selected (X-Capture header)', { status: 400 });
+      }
+      const entry = catalog.get(id);
+      if (!entry) {
+        return new Response('Unknown or retired capture', { status: 404 });
+      }
+      capture = loadedCaptures.get(id) || { id, filePath: catalog.filePath(entry), fileData: null };
+      loadedCaptures.delete(id);
+      loadedCaptures.set(id, capture);
+      if (loadedCaptures.size > MAX_LOADED_CAPTURES) {
+        loadedCaptures.delete(loadedCaptures.keys().next().value);
+      }
+    }
     
-    async fetch(req) {
-      const url = new URL(req.url);
+    if (!capture.fileData && !(chunked && isStreamable(capture.filePath, options.split))) {
+      try {
+        capture.fileData = loadFileContent(capture.filePath, options.split);
+      } catch (err) {
+        console.error(`Error reading ${capture.id ? `capture ${capture.id} (${capture.filePath})` : `file ${capture.filePath}`}: ${err.message}`);
+        return new Response('Error reading capture', { status: 500 });
+      }
+    }
+    return capture;
+  }
+  
+  // Every session gets a fresh server key, kept from its /setup until its
+  // /request is answered: session id -> { server, clientId, captureId, preflight, createdAt }
+  const sessions = new Map();
+  const SESSION_TTL_MS = 10 * 60 * 1000;
+  
+  // With --symmetric, clients that finished the normal exchange run a second
+  // one in which we are the PSI client: reverse session id -> { client, capture, clientId, createdAt }
+  const reverseSessions = new Map();
+  const REVERSE_SESSION_TTL_MS = 10 * 60 * 1000;
+  // Each completed exchange allows one reverse session over the same capture,
+  // soon after it: clientId -> { captureId, completedAt }
+  const reverseGrants = new Map();
+  
+  function grantReverse(clientId, captureId) {
+    if (options.symmetric) {
+      reverseGrants.set(clientId, { captureId, completedAt: Date.now() });
+    }
+  }
+  
+  // Chunked sessions: id -> { clientId, captureId, preflight, numChunks, declaredElements, receivedElements, buckets, bucket, current, createdAt },
+  // where buckets are from chunkBuckets, bucket holds the elements of the
+  // chunk being intersected, and current its server key between a setup and
+  // its request
+  const chunkedSessions = new Map();
+  const CHUNKED_SESSION_TTL_MS = 60 * 60 * 1000;
+  const MAX_CHUNKS = 100000;
+  
+  function endChunkedSession(id) {
+    const session = chunkedSessions.get(id);
+    if (!session) return;
+    session.current?.server.delete();
+    session.buckets.remove();
+    chunkedSessions.delete(id);
+  }
+  
+  function pruneSessions() {
+    for (const [id, session] of sessions) {
+      if (session.createdAt < Date.now() - SESSION_TTL_MS) {
+        session.server.delete();
+        sessions.delete(id);
+      }
+    }
+  }
+  
+  function listCatalog() {
+    return Response.json(catalog.list().map(({ id, url, capturedAt }) => ({ id, url, capturedAt })));
+  }
+  
+  // The capture named by ?capture=<id|url> (and &time=<capture time> for a
+  // URL), so that peers can only look up captures they already know of
+  function findCapture(url) {
+    const name = url.searchParams.get('capture');
+    const time = url.searchParams.get('time');
+    let entry;
+    try {
+      entry = catalog.get(name) || catalog.find(name, time);
+    } catch (err) {
+      return new Response(err.message, { status: 400 });
+    }
+    if (!entry) {
+      return new Response('No matching capture', { status: 404 });
+    }
+    return Response.json({ id: entry.id, url: entry.url, capturedAt: entry.capturedAt });
+  }
+  
+  // Catalog management is only answered on the loopback interface, without
+  // peer authentication: peers can look up a capture, but not list or change them
+  async function handleCatalog(req, url) {
+    if (req.method === 'GET' && url.pathname === '/captures') {
+      return url.searchParams.has('capture') ? findCapture(url) : listCatalog();
+    }
+    if (req.method === 'POST' && url.pathname === '/captures') {
+      try {
+        const entry = catalog.add({
+          url: req.headers.get('x-capture-url'),
+          capturedAt: req.headers.get('x-capture-time') || undefined,
+          fileName: req.headers.get('x-capture-filename') || '',
+          content: Buffer.from(await req.arrayBuffer())
+        });
+        console.error(`Added capture ${entry.id} of ${entry.url} at ${entry.capturedAt}`);
+        return Response.json(entry, { status: 201 });
+      } catch (err) {
+        return new Response(err.message, { status: 400 });
+      }
+    }
+    if (req.method !== 'DELETE' || !url.pathname.startsWith('/captures/')) {
+      return new Response('Not found', { status: 404 });
+    }
+    const entry = catalog.retire(url.pathname.slice('/captures/'.length));
+    if (!entry) {
+      return new Response('Unknown or retired capture', { status: 404 });
+    }
+    loadedCaptures.delete(entry.id);
+    console.error(`Retired capture ${entry.id} of ${entry.url} at ${entry.capturedAt}`);
+    return Response.json(entry);
+  }
+  
+  const handlePeer = withPeerAuth(async (req, httpServer, peerId) => {
+    const url = new URL(req.url);
+    const clientId = peerId || httpServer.requestIP(req)?.address || 'unknown';
+    
+    // Look up a capture that can be selected
+    if (catalog && req.method === 'GET' && url.pathname === '/captures') {
+      if (!url.searchParams.has('capture')) {
+        return new Response('Captures are only listed to localhost; name one with ?capture=<id|url>', { status: 403 });
+      }
+      return findCapture(url);
+    }
+    // Step 1: Send the server setup to the client
+    else if (req.method === 'GET' && url.pathname === '/setup') {
+      const capture = selectCapture(req);
+      if (capture instanceof Response) return capture;
+      const numClientElements = parseInt(req.headers.get('x-num-elements') || '100', 10);
+      const preflight = req.headers.get('x-preflight') === '1';
+      
+      const refusal = queryBudget.checkSetup(clientId, numClientElements, { preflight });
+      if (refusal) {
+        return new Response(refusal.reason, { status: refusal.status });
+      }
+      
+      console.error(`Creating setup for client with ${numClientElements} elements (FPR: ${fpr})`);
+      
+      pruneSessions();
+      // A preflight only learns the size of the intersection
+      const server = createIntersectionServer(psi, capture.fileData.elements, { fpr, revealIntersection: revealIntersection && !preflight });
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      sessions.set(sessionId, { server, clientId, captureId: capture.id, preflight, createdAt: Date.now() });
+      
+      return new Response(Buffer.from(server.setup(numClientElements)), {
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Session-Id': sessionId }
+      });
+    } 
+    // Step 2: Process client request
+    else if (req.method === 'POST' && url.pathname === '/request') {
+      const sessionId = req.headers.get('x-session-id');
+      const session = sessions.get(sessionId);
+      if (!session || session.clientId !== clientId) {
+        return new Response('Unknown session', { status: 404 });
+      }
+      sessions.delete(sessionId);
       
-      // Step 1: Send the server setup to the client
-      if (req.method === 'GET' && url.pathname === '/setup') {
-        const numClientElements = parseInt(req.headers.get('x-num-elements') || '100', 10);
-        const fpr = parseFloat(options.fpr);
+      try {
+        const clientRequest = session.server.readRequest(new Uint8Array(await req.arrayBuffer()));
         
-        console.error(`Creating setup for client with ${numClientElements} elements (FPR: ${fpr})`);
+        const refusal = queryBudget.checkRequest(clientId, clientRequest.size, { preflight: session.preflight });
+        if (refusal) {
+          return new Response(refusal.reason, { status: refusal.status });
+        }
+        if (!session.preflight) {
+          grantReverse(clientId, session.captureId);
+        }
         
-        const serverSetup = server.createSetupMessage(
-          fpr,
-          numClientElements,
-          fileElements,
-          psi.dataStructure.GCS
-        );
+        return new Response(Buffer.from(clientRequest.respond()), {
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+      } catch (error) {
+        console.error('Error processing client request:', error);
+        return new Response('Error processing request', { status: 500 });
+      } finally {
+        session.server.delete();
+      }
+    }
+    // Chunked mode: start a session in which each bucket of elements is
+    // intersected in its own setup/request round. It counts as one session
+    // and one query against the budget, of the size the client declares, and
+    // it ends once its requests add up to that size, refusing any beyond it.
+    else if (req.method === 'POST' && url.pathname === '/chunked/start') {
+      const capture = selectCapture(req, { chunked: true });
+      if (capture instanceof Response) return capture;
+      const numChunks = parseInt(req.headers.get('x-num-chunks'), 10);
+      const salt = req.headers.get('x-bucket-salt');
+      const numClientElements = parseInt(req.headers.get('x-num-elements'), 10);
+      const preflight = req.headers.get('x-preflight') === '1';
+      if (!(numChunks >= 1 && numChunks <= MAX_CHUNKS) || !salt || !(numClientElements >= 0)) {
+        return new Response('Invalid chunked session', { status: 400 });
+      }
+      
+      const refusal = queryBudget.checkSetup(clientId, numClientElements, { chunked: true, preflight });
+      if (refusal) {
+        return new Response(refusal.reason, { status: refusal.status });
+      }
+      
+      for (const [id, session] of chunkedSessions) {
+        if (session.createdAt < Date.now() - CHUNKED_SESSION_TTL_MS) {
+          endChunkedSession(id);
+        }
+      }
+      let buckets;
+      try {
+        buckets = await chunkBuckets(capture.fileData?.elements ?? {
+          elements: () => readElements(capture.filePath, options.split)
+        }, salt, numChunks);
+      } catch (err) {
+        console.error(`Error reading capture for a chunked session: ${err.message}`);
+        return new Response('Error reading capture', { status: 500 });
+      }
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      chunkedSessions.set(sessionId, {
+        clientId,
+        captureId: capture.id,
+        preflight,
+        numChunks,
+        declaredElements: numClientElements,
+        receivedElements: 0,
+        buckets,
+        bucket: null,
+        current: null,
+        createdAt: Date.now()
+      });
+      console.error(`Starting chunked session for client with ${numClientElements} elements in ${numChunks} chunks`);
+      
+      return Response.json({ session: sessionId });
+    }
+    // Chunked step 1: send the setup for one bucket of our elements
+    else if (req.method === 'GET' && url.pathname === '/chunked/setup') {
+      const session = chunkedSessions.get(req.headers.get('x-chunk-session'));
+      const chunk = parseInt(req.headers.get('x-chunk'), 10);
+      if (!session || session.clientId !== clientId) {
+        return new Response('Unknown chunked session', { status: 404 });
+      }
+      // Chunks come in order, each in one or more rounds
+      if (!(chunk >= 0 && chunk < session.numChunks) || chunk < (session.bucket?.chunk ?? 0)) {
+        return new Response('Invalid chunk', { status: 400 });
+      }
+      const numClientElements = parseInt(req.headers.get('x-num-elements') || '100', 10);
+      if (session.bucket?.chunk !== chunk) {
+        session.bucket = { chunk, elements: distinctElements(session.buckets, chunk) };
+      }
+      
+      // Each round gets its own key, released once its request is answered
+      session.current?.server.delete();
+      const chunkServer = createIntersectionServer(psi, session.bucket.elements, {
+        fpr,
+        revealIntersection: revealIntersection && !session.preflight
+      });
+      session.current = { chunk, server: chunkServer };
+      
+      return new Response(Buffer.from(chunkServer.setup(numClientElements)), {
+        headers: { 'Content-Type': 'application/octet-stream' }
+      });
+    }
+    // Chunked step 2: process the client request for the current chunk
+    else if (req.method === 'POST' && url.pathname === '/chunked/request') {
+      const sessionId = req.headers.get('x-chunk-session');
+      const session = chunkedSessions.get(sessionId);
+      const chunk = parseInt(req.headers.get('x-chunk'), 10);
+      if (!session || session.clientId !== clientId) {
+        return new Response('Unknown chunked session', { status: 404 });
+      }
+      if (!session.current || session.current.chunk !== chunk) {
+        return new Response('No setup for this chunk', { status: 400 });
+      }
+      const chunkServer = session.current.server;
+      session.current = null;
+      
+      try {
+        const clientRequest = chunkServer.readRequest(new Uint8Array(await req.arrayBuffer()));
         
-        const serializedSetup = Buffer.from(serverSetup.serializeBinary());
+        session.receivedElements += clientRequest.size;
+        if (session.receivedElements > session.declaredElements) {
+          endChunkedSession(sessionId);
+          return new Response(`Chunked session declared ${session.declaredElements} elements but sent at least ${session.receivedElements}`, { status: 400 });
+        }
+        // The session is over once the client sent all the elements it declared
+        const final = session.receivedElements === session.declaredElements;
+        if (final) {
+          endChunkedSession(sessionId);
+        }
+        const refusal = queryBudget.checkRequest(clientId, clientRequest.size, { chunk: true });
+        if (refusal) {
+          endChunkedSession(sessionId);
+          return new Response(refusal.reason, { status: refusal.status });
+        }
+        if (final && !session.preflight) {
+          grantReverse(clientId, session.captureId);
+        }
         
-        return new Response(serializedSetup, {
+        return new Response(Buffer.from(clientRequest.respond()), {
           headers: { 'Content-Type': 'application/octet-stream' }
         });
-      } 
-      // Step 2: Process client request
-      else if (req.method === 'POST' && url.pathname === '/request') {
-        try {
-          const requestData = await req.arrayBuffer();
-          const clientRequest = psi.request.deserializeBinary(new Uint8Array(requestData));
-          const serverResponse = server.processRequest(clientRequest);
-          const serializedResponse = Buffer.from(serverResponse.serializeBinary());
-          
-          return new Response(serializedResponse, {
-            headers: { 'Content-Type': 'application/octet-stream' }
-          });
-        } catch (error) {
-          console.error('Error processing client request:', error);
-          return new Response('Error processing request', { status: 500 });
+      } catch (error) {
+        console.error('Error processing client request:', error);
+        return new Response('Error processing request', { status: 500 });
+      } finally {
+        chunkServer.delete();
+      }
+    }
+    // Symmetric mode, step 3: with the roles swapped, send our own blinded
+    // elements so that the client can act as the PSI server. Only allowed
+    // once per completed exchange, and charged to the client's budget.
+    else if (options.symmetric && req.method === 'POST' && url.pathname === '/reverse/request') {
+      for (const [id, session] of reverseSessions) {
+        if (session.createdAt < Date.now() - REVERSE_SESSION_TTL_MS) reverseSessions.delete(id);
+      }
+      const capture = selectCapture(req);
+      if (capture instanceof Response) return capture;
+      const grant = reverseGrants.get(clientId);
+      reverseGrants.delete(clientId);
+      if (!grant || grant.captureId !== capture.id || grant.completedAt < Date.now() - REVERSE_SESSION_TTL_MS) {
+        return new Response('A reverse session must follow a completed exchange over the same capture', { status: 403 });
+      }
+      const refusal = queryBudget.checkReverse(clientId, capture.fileData.elements.length);
+      if (refusal) {
+        return new Response(refusal.reason, { status: refusal.status });
+      }
+      const reverseClient = createIntersectionClient(psi, capture.fileData.elements);
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      reverseSessions.set(sessionId, { client: reverseClient, capture, clientId, createdAt: Date.now() });
+      
+      return new Response(Buffer.from(reverseClient.request()), {
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Reverse-Session': sessionId }
+      });
+    }
+    // Step 4: Compute our side of the intersection from the client's setup
+    // and response, write our output and compare digests with the client
+    else if (options.symmetric && req.method === 'POST' && url.pathname === '/reverse/result') {
+      const sessionId = req.headers.get('x-reverse-session');
+      const session = reverseSessions.get(sessionId);
+      if (!session || session.clientId !== clientId) {
+        return new Response('Unknown reverse session', { status: 404 });
+      }
+      reverseSessions.delete(sessionId);
+      
+      try {
+        const { setup, response, digest: clientDigest } = await req.json();
+        const intersection = session.client.intersection(
+          new Uint8Array(Buffer.from(setup, 'base64')),
+          new Uint8Array(Buffer.from(response, 'base64'))
+        );
+        session.client.delete();
+        const indexSet = new Set(intersection);
+        const { fileData, filePath } = session.capture;
+        const digest = resultDigest(fileData, indexSet);
+        
+        const extension = fileData.isWarc && options.redact ? '.warc'
+          : (options.redact || options.highlight) ? path.extname(filePath) || '.txt' : '.txt';
+        const outputPath = path.join(options.resultDir, `psi-result-${Date.now()}${extension}`);
+        writeOutput(outputPath, formatResult(fileData, indexSet, filePath));
+        console.error(`Wrote ${intersection.length} intersecting elements shared with ${clientId} to ${outputPath}`);
+        if (digest === clientDigest) {
+          console.error(`Client ${clientId} kept the same content (sha256 ${digest})`);
+        } else {
+          console.error(`WARNING: client ${clientId} kept different content (sha256 ${clientDigest}, ours ${digest})`);
+        }
+        
+        return Response.json({ digest, matched: intersection.length });
+      } catch (error) {
+        console.error('Error processing reverse result:', error);
+        return new Response('Error processing reverse result', { status: 500 });
+      }
+    } else {
+      return new Response('Not found', { status: 404 });
+    }
+  });
+  
+  // Create Bun HTTP server
+  const bunServer = Bun.serve({
+    port: parseInt(options.port, 10),
+    hostname: options.host,
+    
+    fetch(req, httpServer) {
+      const url = new URL(req.url);
+      if (catalog && (url.pathname === '/captures' || url.pathname.startsWith('/captures/'))) {
+        const address = httpServer.requestIP(req)?.address;
+        if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) {
+          return handleCatalog(req, url);
+        }
+        if (req.method !== 'GET') {
+          return new Response('Catalog changes are only accepted from localhost', { status: 403 });
         }
-      } else {
-        return new Response('Not found', { status: 404 });
       }
+      return handlePeer(req, httpServer);
     },
     
     error(err) {
@@ -207,274 +1069,505 @@ async function runServer() {
   console.error(`Server is listening on ${bunServer.hostname}:${bunServer.port}`);
 }
 
-// Run as client
-async function runClient() {
-  const [host, port] = options.client.split(':');
+// With --capture, the capture selected on each peer: peer -> { id, url, capturedAt }
+const selectedCaptures = new Map();
+
+// Headers that select the --capture on a --catalog server (none without --capture).
+// A URL is looked up on the peer, so each peer can have its own latest
+// capture of it.
+async function captureHeaders(peer) {
+  if (!options.capture) return {};
+  
+  if (!selectedCaptures.has(peer)) {
+    const [host, port] = peer.split(':');
+    const query = new URLSearchParams({ capture: options.capture });
+    const time = options.captureTime ? new Date(options.captureTime).toISOString() : null;
+    if (time) query.set('time', time);
+    const lookupResponse = await peerFetch(`http://${host}:${parseInt(port || '5995', 10)}/captures?${query}`);
+    if (lookupResponse.status === 404) {
+      throw new Error(`Peer ${peer} has no capture matching ${options.capture}${time ? ` at ${time}` : ''}`);
+    }
+    if (!lookupResponse.ok) {
+      throw new Error(`HTTP Error from ${peer}: ${lookupResponse.status}`);
+    }
+    const capture = await lookupResponse.json();
+    console.error(`Selected capture ${capture.id} of ${capture.url} at ${capture.capturedAt} on ${peer}`);
+    selectedCaptures.set(peer, capture);
+  }
+  return { 'X-Capture': selectedCaptures.get(peer).id };
+}
+
+// Run one PSI exchange with a single peer, returning the intersection indices
+// (or only the intersection size when not revealing the intersection). A
+// preflight is a size-only round that the server should expect to be
+// followed by a reveal of the same elements.
+async function intersectWithPeer(psi, peer, fileElements, revealIntersection, { preflight = false } = {}) {
+  const chunkSize = parseInt(options.chunkSize, 10);
+  if (chunkSize > 0) {
+    const result = await intersectWithPeerChunked(psi, peer, fileElements, revealIntersection, chunkSize, { preflight });
+    return revealIntersection ? fileElements.map((_, idx) => idx).filter(idx => result.has(idx)) : result;
+  }
+  
+  const [host, port] = peer.split(':');
   const targetPort = parseInt(port || '5995', 10);
-  const fileData = readFileContent(options.file, options.split);
-  const { elements: fileElements, originalContent, splitMode } = fileData;
-  const revealIntersection = !!options.revealIntersection;
   
   console.error(`Connecting to server at ${host}:${targetPort}`);
-  console.error(`Loaded ${fileElements.length} elements from file using '${splitMode}' split mode`);
-  console.error(`Reveal intersection: ${revealIntersection}`);
   
-  try {
-    const psi = await PSI();
-    const client = psi.client.createWithNewKey(revealIntersection);
-    
+  const selectHeaders = { ...await captureHeaders(peer), ...(preflight ? { 'X-Preflight': '1' } : {}) };
+  // The server keeps the key of this session until our request
+  let sessionId = null;
+  return intersect(psi, fileElements, {
     // Step 1: Get the server setup
-    const setupResponse = await fetch(`http://${host}:${targetPort}/setup`, {
-      method: 'GET',
+    async getSetup(numElements) {
+      const setupResponse = await peerFetch(`http://${host}:${targetPort}/setup`, {
+        method: 'GET',
+        headers: {
+          ...selectHeaders,
+          'X-Num-Elements': numElements.toString()
+        }
+      });
+      if (!setupResponse.ok) {
+        throw new Error(`HTTP Error from ${peer}: ${setupResponse.status}`);
+      }
+      sessionId = setupResponse.headers.get('x-session-id');
+      return new Uint8Array(await setupResponse.arrayBuffer());
+    },
+    // Step 2: Send the blinded client request and get the server's response
+    async sendRequest(request) {
+      const responseResult = await peerFetch(`http://${host}:${targetPort}/request`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Session-Id': sessionId
+        },
+        body: request
+      });
+      if (!responseResult.ok) {
+        throw new Error(`HTTP Error from ${peer}: ${responseResult.status}`);
+      }
+      return new Uint8Array(await responseResult.arrayBuffer());
+    }
+  }, { revealIntersection });
+}
+
+// Chunked mode (--chunk-size): our elements are split into buckets of about
+// the chunk size and each bucket is intersected with the same bucket of the
+// peer's elements, in rounds of at most the chunk size, so no PSI message or
+// key ever covers more than one chunk. source is an array of elements or a
+// streamed file (see openStreamedFile), whose buckets are spilled to disk
+// rather than held in memory. Returns the intersection as an index bitmap
+// (see createIndexBitmap), or only its size when not revealing it.
+async function intersectWithPeerChunked(psi, peer, source, revealIntersection, chunkSize, { preflight = false } = {}) {
+  const [host, port] = peer.split(':');
+  const baseUrl = `http://${host}:${parseInt(port || '5995', 10)}`;
+  const numElements = Array.isArray(source) ? source.length : source.numElements;
+  const numChunks = Math.max(1, Math.ceil(numElements / chunkSize));
+  const salt = crypto.randomBytes(16).toString('hex');
+  const buckets = await chunkBuckets(source, salt, numChunks);
+  
+  console.error(`Connecting to server at ${baseUrl} (${numChunks} chunks)`);
+  
+  try {
+    const startResponse = await peerFetch(`${baseUrl}/chunked/start`, {
+      method: 'POST',
       headers: {
-        'X-Num-Elements': fileElements.length.toString()
+        ...await captureHeaders(peer),
+        ...(preflight ? { 'X-Preflight': '1' } : {}),
+        'X-Num-Chunks': numChunks.toString(),
+        'X-Bucket-Salt': salt,
+        'X-Num-Elements': numElements.toString()
       }
     });
-    
-    if (!setupResponse.ok) {
-      throw new Error(`HTTP Error: ${setupResponse.status}`);
+    if (!startResponse.ok) {
+      throw new Error(`HTTP Error from ${peer}: ${startResponse.status}`);
     }
+    const { session } = await startResponse.json();
     
-    const setupData = await setupResponse.arrayBuffer();
-    
-    // Step 2: Create and send the client request
-    const clientRequest = client.createRequest(fileElements);
-    const serializedRequest = clientRequest.serializeBinary();
+    const intersection = createIndexBitmap(numElements);
+    let intersectionSize = 0;
+    let processed = 0;
+    for (let chunk = 0; chunk < numChunks; chunk++) {
+      const headers = { 'X-Chunk-Session': session, 'X-Chunk': chunk.toString() };
+      const transport = {
+        async getSetup(numElements) {
+          const setupResponse = await peerFetch(`${baseUrl}/chunked/setup`, {
+            method: 'GET',
+            headers: { ...headers, 'X-Num-Elements': numElements.toString() }
+          });
+          if (!setupResponse.ok) {
+            throw new Error(`HTTP Error from ${peer} on chunk ${chunk}: ${setupResponse.status}`);
+          }
+          return new Uint8Array(await setupResponse.arrayBuffer());
+        },
+        async sendRequest(request) {
+          const responseResult = await peerFetch(`${baseUrl}/chunked/request`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/octet-stream' },
+            body: request
+          });
+          if (!responseResult.ok) {
+            throw new Error(`HTTP Error from ${peer} on chunk ${chunk}: ${responseResult.status}`);
+          }
+          return new Uint8Array(await responseResult.arrayBuffer());
+        }
+      };
+      
+      for (const { indices, elements } of buckets.readParts(chunk, chunkSize)) {
+        const result = await intersect(psi, elements, transport, { revealIntersection });
+        const matched = revealIntersection ? result.length : result;
+        if (revealIntersection) {
+          for (const idx of result) intersection.add(indices[idx]);
+        } else {
+          intersectionSize += result;
+        }
+        processed += indices.length;
+        const percent = numElements ? Math.round(processed / numElements * 100) : 100;
+        console.error(`Chunk ${chunk + 1}/${numChunks} (${percent}%): ${matched} of ${indices.length} elements matched`);
+      }
+    }
     
-    const responseResult = await fetch(`http://${host}:${targetPort}/request`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/octet-stream'
-      },
-      body: serializedRequest
-    });
+    return revealIntersection ? intersection : intersectionSize;
+  } finally {
+    buckets.remove();
+  }
+}
+
+// Preflight policies: why a size-only round with a peer shows too little
+// overlap to go on and reveal the intersection, or null if it's enough
+function preflightFailure(intersectionSize, total) {
+  const overlap = total > 0 ? intersectionSize / total : 0;
+  if (options.minOverlap !== undefined && overlap < parseFloat(options.minOverlap)) {
+    return `only ${(overlap * 100).toFixed(1)}% of our elements are shared (--min-overlap ${options.minOverlap})`;
+  }
+  if (options.maxDropped !== undefined && total - intersectionSize > parseInt(options.maxDropped, 10)) {
+    return `${total - intersectionSize} of our elements would be dropped (--max-dropped ${options.maxDropped})`;
+  }
+  return null;
+}
+
+// Symmetric mode: run a second PSI round with the roles swapped so that the
+// peer learns the intersection too, then compare what each side kept
+async function shareResultWithPeer(psi, peer, fileData, indexSet) {
+  const [host, port] = peer.split(':');
+  const baseUrl = `http://${host}:${parseInt(port || '5995', 10)}`;
+  
+  // Step 3: Get the peer's blinded elements
+  const requestResult = await peerFetch(`${baseUrl}/reverse/request`, {
+    method: 'POST',
+    headers: await captureHeaders(peer)
+  });
+  if (!requestResult.ok) {
+    throw new Error(`HTTP Error from ${peer}: ${requestResult.status}`);
+  }
+  
+  // Step 4: Answer as the PSI server, with a fresh key for this round
+  const reverseServer = createIntersectionServer(psi, fileData.elements, { fpr: parseFloat(options.fpr) });
+  const peerRequest = reverseServer.readRequest(new Uint8Array(await requestResult.arrayBuffer()));
+  const setup = reverseServer.setup(peerRequest.size);
+  const response = peerRequest.respond();
+  reverseServer.delete();
+  const digest = resultDigest(fileData, indexSet);
+  
+  const resultResponse = await peerFetch(`${baseUrl}/reverse/result`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Reverse-Session': requestResult.headers.get('x-reverse-session')
+    },
+    body: JSON.stringify({
+      setup: Buffer.from(setup).toString('base64'),
+      response: Buffer.from(response).toString('base64'),
+      digest
+    })
+  });
+  if (!resultResponse.ok) {
+    throw new Error(`HTTP Error from ${peer}: ${resultResponse.status}`);
+  }
+  
+  const { digest: peerDigest, matched } = await resultResponse.json();
+  const match = peerDigest === digest;
+  if (match) {
+    console.error(`Peer ${peer} kept the same ${matched} elements (sha256 ${digest})`);
+  } else {
+    console.error(`WARNING: peer ${peer} kept different content (sha256 ${peerDigest}, ours ${digest})`);
+  }
+  return { digest, peerDigest, match };
+}
+
+// A chunked run streams a streamable --file rather than loading it, unless it
+// needs all of its elements at once: for --min-support, the PII scan, a
+// --report or a --symmetric comparison
+function streamsFile() {
+  return parseInt(options.chunkSize, 10) > 0 && isStreamable(options.file, options.split) &&
+    options.minSupport === undefined && !piiScan && !options.report && !options.symmetric;
+}
+
+// Run as client over a streamed --file: the file is read a piece at a time
+// for each chunked session and again for the output, and the intersection is
+// kept as one bit per element
+async function runStreamedClient() {
+  const peers = options.client;
+  const source = await openStreamedFile(options.file, options.split);
+  const chunkSize = parseInt(options.chunkSize, 10);
+  const revealIntersection = !!options.revealIntersection;
+  const threshold = options.threshold ? parseInt(options.threshold, 10) : peers.length;
+  
+  if (!(threshold >= 1 && threshold <= peers.length)) {
+    console.error(`Error: --threshold must be between 1 and the number of peers (${peers.length})`);
+    process.exit(1);
+  }
+  
+  console.error(`Intersecting with ${peers.length} peer(s): ${peers.join(', ')}`);
+  console.error(`Streaming ${source.numElements} elements from file using '${source.splitMode}' split mode`);
+  console.error(`Reveal intersection: ${revealIntersection}`);
+  
+  try {
+    const psi = await PSI();
     
-    if (!responseResult.ok) {
-      throw new Error(`HTTP Error: ${responseResult.status}`);
+    if (options.minOverlap !== undefined || options.maxDropped !== undefined) {
+      for (const peer of peers) {
+        const intersectionSize = await intersectWithPeerChunked(psi, peer, source, false, chunkSize, { preflight: true });
+        const failure = preflightFailure(intersectionSize, source.numElements);
+        console.error(`Preflight with ${peer}: ${intersectionSize} of ${source.numElements} elements shared`);
+        if (failure) {
+          console.error(`Error: Preflight with ${peer} failed, not revealing the intersection: ${failure}`);
+          process.exit(2);
+        }
+      }
     }
     
-    const responseData = await responseResult.arrayBuffer();
+    if (revealIntersection) {
+      const peerIntersections = [];
+      for (const peer of peers) {
+        const peerIntersection = await intersectWithPeerChunked(psi, peer, source, true, chunkSize);
+        peerIntersections.push(peerIntersection);
+        console.error(`Peer ${peer}: ${peerIntersection.size} of ${source.numElements} elements matched`);
+      }
+      
+      // Keep the elements present at at least `threshold` peers
+      let intersection = peerIntersections[0];
+      if (peers.length > 1) {
+        intersection = createIndexBitmap(source.numElements);
+        for (let idx = 0; idx < source.numElements; idx++) {
+          let count = 0;
+          for (const peerIntersection of peerIntersections) {
+            if (peerIntersection.has(idx)) count++;
+          }
+          if (count >= threshold) intersection.add(idx);
+        }
+        console.error(`Keeping ${intersection.size} elements matched by at least ${threshold} of ${peers.length} peers`);
+      }
+      
+      await writeStreamedResult(source, intersection);
+      if (options.output) {
+        console.error(`Output written to ${options.output}`);
+      }
+      const shown = options.highlight ? ' (green)' : options.redact ? ' (not redacted)' : '';
+      console.error(`Found ${intersection.size} elements in the intersection${shown}`);
+    } else {
+      for (const peer of peers) {
+        const intersectionSize = await intersectWithPeerChunked(psi, peer, source, false, chunkSize);
+        const label = peers.length > 1 ? ` (${peer})` : '';
+        console.error(`Intersection size${label}: ${intersectionSize}`);
+        console.log(`Intersection size${label}: ${intersectionSize}`);
+      }
+    }
+  } catch (error) {
+    console.error(`Client error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run as client
+async function runClient() {
+  if (streamsFile()) {
+    return runStreamedClient();
+  }
+  const peers = options.client;
+  const fileData = readFileContent(options.file, options.split);
+  const { elements: fileElements, originalContent, splitMode } = fileData;
+  const revealIntersection = !!options.revealIntersection;
+  const threshold = options.threshold ? parseInt(options.threshold, 10) : peers.length;
+  
+  if (fileData.isWarc && options.highlight) {
+    console.error('Error: --highlight is not supported for WARC input, use --redact to write a WARC');
+    process.exit(1);
+  }
+  
+  if (!(threshold >= 1 && threshold <= peers.length)) {
+    console.error(`Error: --threshold must be between 1 and the number of peers (${peers.length})`);
+    process.exit(1);
+  }
+  
+  console.error(`Intersecting with ${peers.length} peer(s): ${peers.join(', ')}`);
+  console.error(`Loaded ${fileElements.length} elements from file using '${splitMode}' split mode`);
+  console.error(`Reveal intersection: ${revealIntersection}`);
+  
+  const report = options.report ? {
+    file: options.file,
+    splitMode,
+    warc: !!fileData.isWarc,
+    fpr: parseFloat(options.fpr),
+    revealIntersection,
+    threshold,
+    chunkSize: parseInt(options.chunkSize, 10) || null,
+    identity: peerAuth ? peerAuth.identity.publicKey : null,
+    redaction: redactionMetadata,
+    startedAt: new Date().toISOString(),
+    peers: []
+  } : null;
+  // Unless it goes to a --report-file, the report replaces the usual output
+  const printOutput = !report || !!options.reportFile;
+  
+  try {
+    const psi = await PSI();
     
-    // Step 3: Process the server's response
-    const serverSetup = psi.serverSetup.deserializeBinary(new Uint8Array(setupData));
-    const serverResponse = psi.response.deserializeBinary(new Uint8Array(responseData));
+    // With --min-overlap or --max-dropped, check the size of the intersection
+    // with every peer before revealing anything to any of them, so that a
+    // capture of a different page or a logged-out view is rejected early
+    if (options.minOverlap !== undefined || options.maxDropped !== undefined) {
+      if (report) report.preflight = [];
+      for (const peer of peers) {
+        const intersectionSize = await intersectWithPeer(psi, peer, fileElements, false, { preflight: true });
+        const failure = preflightFailure(intersectionSize, fileElements.length);
+        console.error(`Preflight with ${peer}: ${intersectionSize} of ${fileElements.length} elements shared`);
+        if (report) {
+          report.preflight.push({ address: peer, intersectionSize, passed: !failure, reason: failure });
+        }
+        if (failure) {
+          console.error(`Error: Preflight with ${peer} failed, not revealing the intersection: ${failure}`);
+          if (report) {
+            report.finishedAt = new Date().toISOString();
+            writeReport(report);
+          }
+          process.exit(2);
+        }
+      }
+    }
     
     if (revealIntersection) {
-      // Get the actual intersection
-      const intersection = client.getIntersection(serverSetup, serverResponse);
+      // Count how many peers share each element, each peer with a fresh client key
+      const matchCounts = new Array(fileElements.length).fill(0);
+      for (const peer of peers) {
+        const startedAt = new Date().toISOString();
+        const peerIntersection = await intersectWithPeer(psi, peer, fileElements, true);
+        for (const idx of peerIntersection) {
+          matchCounts[idx]++;
+        }
+        console.error(`Peer ${peer}: ${peerIntersection.length} of ${fileElements.length} elements matched`);
+        if (report) {
+          report.peers.push({
+            ...await describePeer(peer),
+            matched: peerIntersection.length,
+            startedAt,
+            finishedAt: new Date().toISOString()
+          });
+        }
+      }
       
-      // Create a map of the original elements with their indices in the original file
-      const originalElementsWithIndex = fileElements.map((element, index) => ({ element, originalIndex: index }));
+      // Keep the elements present at at least `threshold` peers
+      const intersection = [];
+      matchCounts.forEach((count, idx) => {
+        if (count >= threshold) intersection.push(idx);
+      });
+      if (peers.length > 1) {
+        console.error(`Keeping ${intersection.length} elements matched by at least ${threshold} of ${peers.length} peers`);
+      }
       
       // Create a set of indices that are in the intersection
       const indexSet = new Set(intersection);
       
-      if (options.highlight) {
-        // ANSI color codes
-        const GREEN = '\x1b[32m';
-        const RED = '\x1b[31m';
-        const RESET = '\x1b[0m';
-        
-        // Handle different split modes for highlighting
-        if (splitMode === 'line') {
-          // Output the full file with highlighted lines
-          const lines = originalContent.split(/\r?\n/);
-          lines.forEach((line, lineIdx) => {
-            if (line.trim().length === 0) {
-              console.log(''); // Empty line
-            } else {
-              const elementIdx = lines.slice(0, lineIdx).filter(l => l.trim().length > 0).length;
-              const isInIntersection = indexSet.has(elementIdx);
-              const color = isInIntersection ? GREEN : RED;
-              console.log(`${color}${line}${RESET}`);
-            }
-          });
-        } else if (splitMode === 'word') {
-          // For word mode with punctuation as separate tokens
-          let result = '';
-          let tokenIdx = 0;
-          
-          // Reconstruct the text with highlighting
-          let currentWord = '';
-          for (let i = 0; i < originalContent.length; i++) {
-            const char = originalContent[i];
-            
-            if (/[a-zA-Z0-9]/.test(char)) {
-              // Build up a word
-              currentWord += char;
-            } else {
-              // Output any accumulated word
-              if (currentWord) {
-                const isInIntersection = indexSet.has(tokenIdx);
-                const color = isInIntersection ? GREEN : RED;
-                result += `${color}${currentWord}${RESET}`;
-                tokenIdx++;
-                currentWord = '';
-              }
-              
-              // Handle whitespace (represented by space token)
-              if (/\s/.test(char)) {
-                const isInIntersection = indexSet.has(tokenIdx);
-                const color = isInIntersection ? GREEN : RED;
-                // Don't color-code the actual whitespace character to avoid visual confusion
-                result += char;
-                tokenIdx++;
-              } else {
-                // Handle punctuation
-                const isInIntersection = indexSet.has(tokenIdx);
-                const color = isInIntersection ? GREEN : RED;
-                result += `${color}${char}${RESET}`;
-                tokenIdx++;
-              }
-            }
-          }
-          
-          // Output final word if any
-          if (currentWord) {
-            const isInIntersection = indexSet.has(tokenIdx);
-            const color = isInIntersection ? GREEN : RED;
-            result += `${color}${currentWord}${RESET}`;
-          }
-          
-          console.log(result);
-        } else if (splitMode === 'char') {
-          // For character mode, highlight each character
-          let result = '';
-          let nonSpaceIdx = 0;
-          
-          for (let i = 0; i < originalContent.length; i++) {
-            const char = originalContent[i];
-            
-            if (/\S/.test(char)) {
-              const isInIntersection = indexSet.has(nonSpaceIdx);
-              const color = isInIntersection ? GREEN : RED;
-              result += `${color}${char}${RESET}`;
-              nonSpaceIdx++;
-            } else {
-              result += char;
-            }
-          }
-          
-          console.log(result);
+      // Leave rare elements out of the output, even though both sides have
+      // them: too few --background captures contain them to be anonymous
+      let outputSet = indexSet;
+      if (options.minSupport !== undefined) {
+        const { keptSet, captures } = filterBySupport(fileData, indexSet);
+        console.error(`Redacted ${indexSet.size - keptSet.size} intersected elements found in fewer than ${options.minSupport} of ${captures} background captures`);
+        if (report) {
+          report.minSupport = {
+            k: parseInt(options.minSupport, 10),
+            minEntropy: parseFloat(options.minSupportEntropy),
+            captures,
+            redactedElements: indexSet.size - keptSet.size
+          };
         }
-        
-        console.error(`Found ${intersection.length} elements in the intersection (green)`);
-      } 
-      else if (options.redact) {
-        // Handle different split modes for redaction
-        if (splitMode === 'line') {
-          // Output the full file with redacted lines
-          const lines = originalContent.split(/\r?\n/);
-          lines.forEach((line, lineIdx) => {
-            if (line.trim().length === 0) {
-              console.log(''); // Empty line
-            } else {
-              const elementIdx = lines.slice(0, lineIdx).filter(l => l.trim().length > 0).length;
-              const isInIntersection = indexSet.has(elementIdx);
-              if (isInIntersection) {
-                console.log(line);
-              } else {
-                // Replace with consistent hash-based redaction
-                console.log(createConsistentRedaction(line));
-              }
-            }
-          });
-        } else if (splitMode === 'word') {
-          // For word mode with punctuation as separate tokens
-          let result = '';
-          let tokenIdx = 0;
-          
-          // Reconstruct the text with redaction
-          let currentWord = '';
-          for (let i = 0; i < originalContent.length; i++) {
-            const char = originalContent[i];
-            
-            if (/[a-zA-Z0-9]/.test(char)) {
-              // Build up a word
-              currentWord += char;
-            } else {
-              // Output any accumulated word
-              if (currentWord) {
-                const isInIntersection = indexSet.has(tokenIdx);
-                if (isInIntersection) {
-                  result += currentWord;
-                } else {
-                  // Replace with consistent hash-based redaction
-                  result += createConsistentRedaction(currentWord);
-                }
-                tokenIdx++;
-                currentWord = '';
-              }
-              
-              // Handle whitespace
-              if (/\s/.test(char)) {
-                tokenIdx++; // Count the whitespace token
-                result += char; // Always keep whitespace as is
-              } else {
-                // Handle punctuation
-                const isInIntersection = indexSet.has(tokenIdx);
-                if (isInIntersection) {
-                  result += char;
-                } else {
-                  // Replace punctuation with consistent redaction
-                  result += createConsistentRedaction(char);
-                }
-                tokenIdx++;
-              }
-            }
-          }
-          
-          // Output final word if any
-          if (currentWord) {
-            const isInIntersection = indexSet.has(tokenIdx);
-            if (isInIntersection) {
-              result += currentWord;
-            } else {
-              // Replace with consistent hash-based redaction
-              result += createConsistentRedaction(currentWord);
-            }
-          }
-          
-          console.log(result);
-        } else if (splitMode === 'char') {
-          // For character mode, redact each character
-          let result = '';
-          let nonSpaceIdx = 0;
-          
-          for (let i = 0; i < originalContent.length; i++) {
-            const char = originalContent[i];
-            
-            if (/\S/.test(char)) {
-              const isInIntersection = indexSet.has(nonSpaceIdx);
-              result += isInIntersection ? char : createConsistentRedaction(char);
-              nonSpaceIdx++;
-            } else {
-              result += char; // Keep whitespace
-            }
-          }
-          
-          console.log(result);
+        outputSet = keptSet;
+      }
+      
+      // Review what the output keeps for identifiers, and with --pii-redact
+      // leave the elements that hold them out of the output too
+      if (piiScan) {
+        const scannedSet = outputSet;
+        const findings = scanOutputForPii(fileData, scannedSet);
+        for (const { kind, text, uri } of findings) {
+          console.error(`WARNING: possible ${kind} left in the output${uri ? ` (${uri})` : ''}: ${JSON.stringify(text)}`);
+        }
+        console.error(`PII scan: ${findings.length} possible identifiers left in the output`);
+        if (options.piiRedact) {
+          outputSet = new Set(scannedSet);
+          findings.forEach(finding => finding.elements.forEach(idx => outputSet.delete(idx)));
+          console.error(`Redacted ${scannedSet.size - outputSet.size} more elements flagged by the PII scan`);
+        }
+        if (report) {
+          report.pii = { findings, redactedElements: scannedSet.size - outputSet.size };
         }
-        
-        console.error(`Found ${intersection.length} elements in the intersection (not redacted)`);
-      }
-      else {
-        // Filter to only include elements in the intersection
-        const intersectionElements = originalElementsWithIndex
-          .filter(item => indexSet.has(item.originalIndex))
-          // Sort by original index to maintain original file order
-          .sort((a, b) => a.originalIndex - b.originalIndex)
-          .map(item => item.element);
-        
-        // Output the intersection elements
-        console.log(intersectionElements.join('\n'));
-        console.error(`Found ${intersectionElements.length} elements in the intersection`);
       }
+      
+      if (report) {
+        report.elements = {
+          total: fileElements.length,
+          intersected: intersection.length,
+          redacted: fileElements.length - outputSet.size
+        };
+        report.intersection = intersection;
+        if (fileData.isWarc) {
+          report.records = warcRecordReport(fileData, outputSet);
+        } else {
+          report.redactedRanges = toByteRanges(originalContent, redactedRanges(fileData, outputSet));
+        }
+      }
+      
+      if (options.symmetric) {
+        const comparison = await shareResultWithPeer(psi, peers[0], fileData, indexSet);
+        if (report) report.symmetric = comparison;
+      }
+      
+      if (printOutput && options.output) {
+        writeOutput(options.output, formatResult(fileData, outputSet, options.file));
+        console.error(`Output written to ${options.output}`);
+      } else if (printOutput) {
+        process.stdout.write(formatResult(fileData, outputSet, options.file));
+      }
+      const shown = options.highlight ? ' (green)' : options.redact ? ' (not redacted)' : '';
+      const kept = outputSet.size < intersection.length ? `, ${outputSet.size} kept in the output` : '';
+      console.error(`Found ${intersection.length} elements in the intersection${kept}${shown}`);
     } else {
-      // Get only the size of the intersection
-      const intersectionSize = client.getIntersectionSize(serverSetup, serverResponse);
-      console.error(`Intersection size: ${intersectionSize}`);
-      console.log(`Intersection size: ${intersectionSize}`);
+      // Get only the size of the intersection with each peer
+      for (const peer of peers) {
+        const startedAt = new Date().toISOString();
+        const intersectionSize = await intersectWithPeer(psi, peer, fileElements, false);
+        const label = peers.length > 1 ? ` (${peer})` : '';
+        console.error(`Intersection size${label}: ${intersectionSize}`);
+        if (printOutput) {
+          console.log(`Intersection size${label}: ${intersectionSize}`);
+        }
+        if (report) {
+          report.peers.push({
+            ...await describePeer(peer),
+            intersectionSize,
+            startedAt,
+            finishedAt: new Date().toISOString()
+          });
+        }
+      }
+      if (report) {
+        report.elements = { total: fileElements.length };
+      }
+    }
+    
+    if (report) {
+      report.finishedAt = new Date().toISOString();
+      writeReport(report);
     }
     
   } catch (error) {
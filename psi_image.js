@@ -1,8 +1,16 @@
 #!/usr/bin/env bun
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { program } = require('commander');
 const PSI = require('@openmined/psi.js');
+const { createQueryBudget } = require('./query_budget');
+const { loadIdentity, loadTrustedPeers, createPeerAuthServer, createPeerFetch } = require('./peer_auth');
+const { findAnchors, estimateOffset, overlapRegion, cropImage } = require('./image_align');
+const { findTextRegions } = require('./text_regions');
+const { FILLS, redactionMask, fillRedacted, maskImage } = require('./image_fill');
+const { OUTPUT_FORMATS, outputFormat, readImage, writeImage } = require('./image_io');
 const { PNG } = require('pngjs');
 
 // --- Helper: Zero-pad a number as a string ---
@@ -28,14 +36,39 @@ program
   .option('-c, --client <host:port>', 'Run as client and connect to server')
   .option('-h, --host <host>', 'Host to bind server to', '0.0.0.0')
   .option('-p, --port <port>', 'Port to bind server to', '5995')
-  .option('-f, --file <path>', 'Path to PNG image file for PSI')
+  .option('-f, --file <path>', 'Path to the image file for PSI (PNG, JPEG, WebP, AVIF, TIFF, GIF, or PDF with pdftoppm installed; all pages are stacked)')
   .option('--tile-size <number>', 'Tile size (width and height in pixels)', '5')
+  .option('--match <mode>', 'Tile matching: "exact", "quantize" (color-bucketed pixels) or "ahash" (perceptual hash per tile)', 'exact')
+  .option('--tolerance <levels>', 'Color levels per bucket for --match quantize/ahash (higher tolerates more noise)', '16')
+  .option('--text-regions', 'Merge the tiles of each detected text region (word or line) into a single PSI element, so text can\'t be guessed a letter at a time; both sides must use it')
+  .option('--text-gap <px>', 'With --text-regions, merge text across horizontal gaps up to this wide (the space between words)', '12')
+  .option('--align', 'Align the two screenshots (scroll offset, banners, window size) before matching tiles; both sides must use it')
   .option('--fpr <rate>', 'False positive rate (default: 0.001)', '0.001')
-  .option('--reveal-intersection', 'Reveal the actual intersection (output final image with non-intersecting tiles smoothed)')
+  .option('--reveal-intersection', 'Reveal the actual intersection (output final image with non-intersecting tiles filled in)')
+  .option('--fill <strategy>', `Client: how to fill non-intersecting tiles: ${FILLS.map(fill => `"${fill}"`).join(', ')}`, 'average')
+  .option('--pixel-size <px>', 'Client: block size for --fill pixelate', '16')
+  .option('--output <path>', `Client: where to write the output image; its format is taken from the extension (${Object.keys(OUTPUT_FORMATS).join(', ')})`, 'psi_output.png')
+  .option('--mask-output <path>', 'Client: also write an alpha mask PNG of the redacted regions to this path')
+  .option('--report <format>', 'Client: print a machine-readable report of the run ("json") to stdout')
+  .option('--report-file <path>', 'Client: write the --report to this file instead of stdout')
+  .option('--identity <path>', 'Path to this node\'s identity key (created if missing)', path.join(os.homedir(), '.psi-identity.json'))
+  .option('--trusted-peers <path>', 'File of peer public keys to allow; enables mutual authentication')
+  .option('--show-identity', 'Print this node\'s public key (to put in a peer\'s --trusted-peers file) and exit')
+  .option('--max-sessions <n>', 'Server: maximum PSI sessions per client within --budget-window, 0 for unlimited', '10')
+  .option('--max-elements <n>', 'Server: maximum total elements queried per client within --budget-window, 0 for unlimited', '0')
+  .option('--hangman-tolerance <n>', 'Server: treat sessions whose element counts differ by at most n as variants of one query', '5')
+  .option('--hangman-repeats <n>', 'Server: number of variant queries in a row flagged as a hang-man attack', '3')
+  .option('--on-hangman <action>', 'Server: "refuse" or "alert" when a hang-man attack is flagged', 'refuse')
+  .option('--budget-window <minutes>', 'Server: sliding window for --max-sessions, --max-elements and hang-man detection; a flagged client is refused for this long', '60')
   .parse(process.argv);
 
 const options = program.opts();
 
+if (options.showIdentity) {
+  console.log(loadIdentity(options.identity).publicKey);
+  process.exit(0);
+}
+
 if (!options.file) {
   console.error('Error: --file is required');
   process.exit(1);
@@ -46,174 +79,348 @@ if (!options.server && !options.client) {
   process.exit(1);
 }
 
+if (!['exact', 'quantize', 'ahash'].includes(options.match)) {
+  console.error(`Error: Invalid match mode: ${options.match}`);
+  process.exit(1);
+}
+
+if (!(parseInt(options.textGap, 10) >= 0)) {
+  console.error(`Error: Invalid --text-gap: ${options.textGap}`);
+  process.exit(1);
+}
+
+if (!FILLS.includes(options.fill)) {
+  console.error(`Error: Invalid fill strategy: ${options.fill}`);
+  process.exit(1);
+}
+
+if (!(parseInt(options.tolerance, 10) >= 1)) {
+  console.error(`Error: Invalid --tolerance: ${options.tolerance} (must be at least 1)`);
+  process.exit(1);
+}
+
+if (!(parseInt(options.pixelSize, 10) > 0)) {
+  console.error(`Error: Invalid --pixel-size: ${options.pixelSize}`);
+  process.exit(1);
+}
+
+if (!outputFormat(options.output)) {
+  console.error(`Error: Unsupported --output format: ${options.output} (use one of ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+  process.exit(1);
+}
+
+if (!(parseFloat(options.budgetWindow) > 0)) {
+  console.error(`Error: Invalid --budget-window: ${options.budgetWindow}`);
+  process.exit(1);
+}
+
+if (options.report && options.report !== 'json') {
+  console.error(`Error: Invalid report format: ${options.report} (only "json" is supported)`);
+  process.exit(1);
+}
+
+// With --trusted-peers, both sides must prove they hold a pinned identity key
+// before any PSI message is exchanged
+const peerAuth = options.trustedPeers ? {
+  identity: loadIdentity(options.identity),
+  trustedPeers: loadTrustedPeers(options.trustedPeers)
+} : null;
+const withPeerAuth = peerAuth ? createPeerAuthServer(peerAuth).wrap : handler => handler;
+const peerFetch = peerAuth ? createPeerFetch(peerAuth) : fetch;
+
 /**
- * Reads a PNG image and divides it into tiles of arbitrary size.
- *
- * For PSI, each element is constructed as a fixed‑width string:
- *
- *    pad(tx,4) + pad(ty,4) + (for each pixel: pad(R,3)+pad(G,3)+pad(B,3))
+ * Encodes the pixels of one tile for PSI, depending on --match:
  *
- * For example, a tile at (1440,900) with pixels such as (255,255,255),(0,0,0), …
- * becomes a string like:
- *
- *    "014400090025525525500000000000100100100..."
- *
- * Returns an object containing:
- * - elements: array of PSI elements (strings)
- * - png: the parsed PNG image (with RGBA data preserved)
- * - tileInfo: array of tile metadata objects { tx, ty, index }
- * - width, height: image dimensions
- * - tilesAcross, tilesDown: number of tiles horizontally and vertically
- * - tileSize: the tile size (from CLI)
+ * - exact: each pixel as pad(R,3)+pad(G,3)+pad(B,3), so a single sub-pixel
+ *   rendering difference makes the tile mismatch
+ * - quantize: each channel divided into buckets of --tolerance levels, which
+ *   absorbs small color noise (values right at a bucket edge can still flip)
+ * - ahash: an average hash of the tile's luminance on an up-to-8×8 grid, plus
+ *   the bucketed mean color. Text and edges still change the hash, but
+ *   anti-aliasing and compression noise mostly don't. Tiles whose luminance
+ *   varies by less than --tolerance are treated as flat.
  */
-function readImageTiles(filePath) {
-  try {
-    const data = fs.readFileSync(filePath);
-    const png = PNG.sync.read(data);
-    const width = png.width;
-    const height = png.height;
-    console.error(`Loaded image ${filePath} with dimensions ${width}×${height}`);
-    
-    const tileSize = parseInt(options.tileSize, 10) || 5;
-    const tilesAcross = Math.floor(width / tileSize);
-    const tilesDown = Math.floor(height / tileSize);
-    const totalTiles = tilesAcross * tilesDown;
-    console.error(`Dividing image into ${tilesAcross} tiles across and ${tilesDown} tiles down (total ${totalTiles} tiles) with tile size ${tileSize}px`);
-    
-    const elements = [];
-    const tileInfo = [];
-    let tileIndex = 0;
-    
-    for (let ty = 0; ty < tilesDown; ty++) {
-      for (let tx = 0; tx < tilesAcross; tx++) {
-        let elementStr = pad(tx, 4) + pad(ty, 4);
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tx * tileSize + x;
-            const globalY = ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            // Append R, G, B each as a 3-digit number.
-            elementStr += pad(png.data[idx], 3) +
-                          pad(png.data[idx + 1], 3) +
-                          pad(png.data[idx + 2], 3);
+function encodeTile(data, width, tx, ty, tileSize) {
+  const tolerance = parseInt(options.tolerance, 10);
+  
+  if (options.match === 'ahash') {
+    const hashSize = Math.min(tileSize, 8);
+    const cells = [];
+    let sumR = 0, sumG = 0, sumB = 0;
+    for (let cy = 0; cy < hashSize; cy++) {
+      for (let cx = 0; cx < hashSize; cx++) {
+        let sumLuma = 0, count = 0;
+        for (let y = Math.floor(cy * tileSize / hashSize); y < Math.floor((cy + 1) * tileSize / hashSize); y++) {
+          for (let x = Math.floor(cx * tileSize / hashSize); x < Math.floor((cx + 1) * tileSize / hashSize); x++) {
+            const idx = ((ty * tileSize + y) * width + tx * tileSize + x) * 4;
+            sumLuma += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            sumR += data[idx];
+            sumG += data[idx + 1];
+            sumB += data[idx + 2];
+            count++;
           }
         }
-        elements.push(elementStr);
-        tileInfo.push({ tx, ty, index: tileIndex });
-        tileIndex++;
+        cells.push(sumLuma / count);
       }
-      printProgressBar(ty + 1, tilesDown, "Tile extraction progress:");
     }
     
-    console.error(`Extracted ${elements.length} tile elements from image.`);
-    return { elements, png, tileInfo, width, height, tilesAcross, tilesDown, tileSize };
-  } catch (err) {
-    console.error(`Error reading PNG file ${filePath}: ${err.message}`);
-    process.exit(1);
+    const mean = cells.reduce((a, b) => a + b, 0) / cells.length;
+    const isFlat = Math.max(...cells) - Math.min(...cells) < tolerance;
+    const bits = cells.map(luma => (!isFlat && luma > mean) ? '1' : '0').join('');
+    const pixels = tileSize * tileSize;
+    return bits +
+           pad(Math.floor(sumR / pixels / tolerance), 3) +
+           pad(Math.floor(sumG / pixels / tolerance), 3) +
+           pad(Math.floor(sumB / pixels / tolerance), 3);
+  }
+  
+  const bucket = options.match === 'quantize' ? tolerance : 1;
+  let encoded = '';
+  for (let y = 0; y < tileSize; y++) {
+    for (let x = 0; x < tileSize; x++) {
+      const idx = ((ty * tileSize + y) * width + tx * tileSize + x) * 4;
+      // Append R, G, B each as a 3-digit number.
+      encoded += pad(Math.floor(data[idx] / bucket), 3) +
+                 pad(Math.floor(data[idx + 1] / bucket), 3) +
+                 pad(Math.floor(data[idx + 2] / bucket), 3);
+    }
   }
+  return encoded;
 }
 
 /**
- * Computes the average color of a tile from the PNG image.
+ * Reads an image as normalized RGBA, exiting with an error if it can't be
+ * decoded.
  */
-function getTileAverageColor(png, tx, ty, tileSize, width) {
-  let sumR = 0, sumG = 0, sumB = 0, sumA = 0;
-  let count = 0;
-  for (let y = 0; y < tileSize; y++) {
-    for (let x = 0; x < tileSize; x++) {
-      const globalX = tx * tileSize + x;
-      const globalY = ty * tileSize + y;
-      const idx = (globalY * width + globalX) * 4;
-      sumR += png.data[idx];
-      sumG += png.data[idx + 1];
-      sumB += png.data[idx + 2];
-      sumA += png.data[idx + 3];
-      count++;
-    }
+async function loadImage(filePath) {
+  try {
+    const { png, pages, format } = await readImage(filePath);
+    console.error(`Loaded ${format} image ${filePath} with dimensions ${png.width}×${png.height}${pages > 1 ? ` (${pages} pages)` : ''}`);
+    return png;
+  } catch (err) {
+    console.error(`Error reading image file ${filePath}: ${err.message}`);
+    process.exit(1);
   }
-  return {
-    r: Math.round(sumR / count),
-    g: Math.round(sumG / count),
-    b: Math.round(sumB / count),
-    a: Math.round(sumA / count)
-  };
 }
 
 /**
- * Runs an array of async functions with a concurrency limit.
+ * Divides an image into tiles of arbitrary size.
+ *
+ * For PSI, each element is constructed as a fixed‑width string:
+ *
+ *    pad(tx,4) + pad(ty,4) + encodeTile(...)
+ *
+ * For example, with --match exact a tile at (1440,900) with pixels such as
+ * (255,255,255),(0,0,0), … becomes a string like:
+ *
+ *    "014400090025525525500000000000100100100..."
+ *
+ * With --text-regions, the tiles of each text region are one element
+ * instead: their elements joined with ';', in place of the region's first
+ * tile.
+ *
+ * Returns an object containing:
+ * - elements: array of PSI elements (strings)
+ * - png: the image (with RGBA data preserved)
+ * - tileInfo: array of tile metadata objects { tx, ty, index, element }, one
+ *   per tile, where element is the index of the PSI element it is part of
+ * - width, height: image dimensions
+ * - tilesAcross, tilesDown: number of tiles horizontally and vertically
+ * - tileSize: the tile size (from CLI)
+ * - regionCount: the number of text regions (0 without --text-regions)
  */
-async function runWithConcurrency(funcs, limit) {
-  const results = [];
-  let index = 0;
-  async function worker() {
-    while (index < funcs.length) {
-      const currentIndex = index;
-      index++;
-      results[currentIndex] = await funcs[currentIndex]();
+function tileImage(png) {
+  const width = png.width;
+  const height = png.height;
+  const tileSize = parseInt(options.tileSize, 10) || 5;
+  const tilesAcross = Math.floor(width / tileSize);
+  const tilesDown = Math.floor(height / tileSize);
+  const totalTiles = tilesAcross * tilesDown;
+  console.error(`Dividing image into ${tilesAcross} tiles across and ${tilesDown} tiles down (total ${totalTiles} tiles) with tile size ${tileSize}px`);
+  console.error(`Matching tiles using '${options.match}' mode${options.match === 'exact' ? '' : ` (tolerance ${options.tolerance})`}`);
+  
+  const { regionOf, regionCount } = options.textRegions
+    ? findTextRegions(png, tileSize, { gap: parseInt(options.textGap, 10) })
+    : { regionOf: null, regionCount: 0 };
+  // Element index of each text region, once its first tile is reached
+  const regionElements = new Map();
+  
+  const elements = [];
+  const tileInfo = [];
+  let tileIndex = 0;
+  
+  for (let ty = 0; ty < tilesDown; ty++) {
+    for (let tx = 0; tx < tilesAcross; tx++) {
+      const tileElement = pad(tx, 4) + pad(ty, 4) + encodeTile(png.data, width, tx, ty, tileSize);
+      const region = regionOf ? regionOf[tileIndex] : -1;
+      let element;
+      if (region < 0) {
+        element = elements.push(tileElement) - 1;
+      } else if (regionElements.has(region)) {
+        element = regionElements.get(region);
+        elements[element] += ';' + tileElement;
+      } else {
+        element = elements.push(tileElement) - 1;
+        regionElements.set(region, element);
+      }
+      tileInfo.push({ tx, ty, index: tileIndex, element });
+      tileIndex++;
     }
+    printProgressBar(ty + 1, tilesDown, "Tile extraction progress:");
+  }
+  
+  if (options.textRegions) {
+    console.error(`Merged the tiles of ${regionCount} text regions, leaving ${elements.length} elements`);
   }
-  const workers = [];
-  for (let i = 0; i < limit; i++) {
-    workers.push(worker());
+  console.error(`Extracted ${elements.length} tile elements from image.`);
+  return { elements, png, tileInfo, width, height, tilesAcross, tilesDown, tileSize, regionCount };
+}
+
+function writeReport(report) {
+  const json = JSON.stringify(report, null, 2) + '\n';
+  if (options.reportFile) {
+    fs.writeFileSync(options.reportFile, json);
+    console.error(`Report written to ${options.reportFile}`);
+  } else {
+    process.stdout.write(json);
   }
-  await Promise.all(workers);
-  return results;
 }
 
 /* ================== SERVER CODE ================== */
-// Precompute the entire PSI set for the server's image at startup.
-let serverElements, serverTileInfo, serverPNG, serverImageWidth;
-if (options.server) {
-  const { elements, png, tileInfo, width, height, tilesAcross, tilesDown, tileSize } = readImageTiles(options.file);
-  serverElements = elements;
-  serverTileInfo = tileInfo;
-  serverPNG = png;
-  serverImageWidth = width;
+// Precompute the entire PSI set for the server's image at startup. Tiles are
+// only ever exchanged as PSI setup/request/response messages, so neither side
+// learns the contents of the other's non-matching tiles.
+async function runServer() {
+  const psi = await PSI();
+  const png = await loadImage(options.file);
+  const { elements, tileSize } = tileImage(png);
+  const revealIntersection = !!options.revealIntersection;
+  const server = psi.server.createWithNewKey(revealIntersection);
+  const queryBudget = createQueryBudget({
+    maxSessions: parseInt(options.maxSessions, 10),
+    maxElements: parseInt(options.maxElements, 10),
+    hangmanTolerance: parseInt(options.hangmanTolerance, 10),
+    hangmanRepeats: parseInt(options.hangmanRepeats, 10),
+    onHangman: options.onHangman,
+    windowMs: parseFloat(options.budgetWindow) * 60 * 1000
+  });
   
   console.error(`Server precomputed ${elements.length} PSI elements for file ${options.file} using tile size ${tileSize}`);
+  console.error(`Reveal intersection: ${revealIntersection}`);
+  
+  // With --align, anchors are hashed with a fresh salt each run, and the tiles
+  // of each region a client asks to crop to are computed on demand
+  const anchorSalt = crypto.randomBytes(16).toString('hex');
+  const anchors = options.align ? findAnchors(png, anchorSalt) : null;
+  const croppedElements = new Map();
+  // Clients that were sent our anchors: their session was already counted
+  // against the budget then, so their next /setup isn't counted again
+  const alignedClients = new Set();
+  if (anchors) {
+    console.error(`Found ${anchors.length} alignment anchors`);
+  }
+  
+  function elementsForCrop(header) {
+    if (!header) return elements;
+    const [x, y, width, height] = header.split(',').map(n => parseInt(n, 10));
+    if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 ||
+        width <= 0 || height <= 0 || x + width > png.width || y + height > png.height) {
+      return null;
+    }
+    const key = [x, y, width, height].join(',');
+    if (!croppedElements.has(key)) {
+      console.error(`Cropping image to ${width}×${height} at (${x},${y}) for alignment`);
+      croppedElements.set(key, tileImage(cropImage(png, { x, y, width, height })).elements);
+      // Only the most recent few crops are kept
+      if (croppedElements.size > 4) {
+        croppedElements.delete(croppedElements.keys().next().value);
+      }
+    }
+    return croppedElements.get(key);
+  }
   
-  // Start the Bun server.
-  // Now, instead of a /setup endpoint, the server only handles individual tile requests:
-  // POST /get_tile_intersection?file=input_image.png&tile_idx=45
   const bunServer = Bun.serve({
     port: parseInt(options.port, 10),
     hostname: options.host,
-    async fetch(req) {
+    fetch: withPeerAuth(async (req, httpServer, peerId) => {
       const url = new URL(req.url);
-      if (req.method === 'POST' && url.pathname === '/get_tile_intersection') {
-        const tileIdx = parseInt(url.searchParams.get('tile_idx') || '-1', 10);
-        if (tileIdx < 0 || tileIdx >= serverElements.length) {
-          return new Response('Invalid tile index', { status: 400 });
+      const clientId = peerId || httpServer.requestIP(req)?.address || 'unknown';
+      
+      // Step 0 (--align only): Send our salted anchor hashes so the client can
+      // work out how its screenshot is shifted relative to ours. Each of them
+      // lets the client confirm a guessed patch of our image, so this starts
+      // the client's session and is counted against its budget.
+      if (req.method === 'GET' && url.pathname === '/anchors') {
+        if (!anchors) {
+          return new Response('Server was not started with --align', { status: 404 });
         }
-        // Read the client's PSI element from the request body.
-        const clientTile = await req.text();
-        if (clientTile === serverElements[tileIdx]) {
-          // If matched, retrieve the raw tile bytes from the image.
-          const { tx, ty } = serverTileInfo[tileIdx];
-          const tileSize = parseInt(options.tileSize, 10) || 5;
-          const tileBuffer = Buffer.alloc(tileSize * tileSize * 4);
-          let offset = 0;
-          for (let y = 0; y < tileSize; y++) {
-            for (let x = 0; x < tileSize; x++) {
-              const globalX = tx * tileSize + x;
-              const globalY = ty * tileSize + y;
-              const idx = (globalY * serverImageWidth + globalX) * 4;
-              tileBuffer[offset++] = serverPNG.data[idx];
-              tileBuffer[offset++] = serverPNG.data[idx + 1];
-              tileBuffer[offset++] = serverPNG.data[idx + 2];
-              tileBuffer[offset++] = serverPNG.data[idx + 3];
-            }
+        const numClientElements = parseInt(req.headers.get('x-num-elements') || '100', 10);
+        const refusal = queryBudget.checkSetup(clientId, numClientElements);
+        if (refusal) {
+          return new Response(refusal.reason, { status: refusal.status });
+        }
+        alignedClients.add(clientId);
+        return Response.json({ salt: anchorSalt, width: png.width, height: png.height, anchors });
+      }
+      // Step 1: Send the server setup (a GCS over all of our tiles) to the client
+      if (req.method === 'GET' && url.pathname === '/setup') {
+        const numClientElements = parseInt(req.headers.get('x-num-elements') || '100', 10);
+        const fpr = parseFloat(options.fpr);
+        
+        // Cropping and tiling are expensive, so they are only done for a
+        // client that was sent our anchors within its budget
+        const cropHeader = options.align && req.headers.get('x-align-crop');
+        const isAligned = alignedClients.delete(clientId);
+        if (cropHeader && !isAligned) {
+          return new Response('An alignment crop must follow /anchors', { status: 400 });
+        }
+        const refusal = !isAligned && queryBudget.checkSetup(clientId, numClientElements);
+        if (refusal) {
+          return new Response(refusal.reason, { status: refusal.status });
+        }
+        
+        const setupElements = elementsForCrop(cropHeader);
+        if (!setupElements) {
+          return new Response('Invalid alignment crop', { status: 400 });
+        }
+        
+        console.error(`Creating setup for client with ${numClientElements} tiles (FPR: ${fpr})`);
+        
+        const serverSetup = server.createSetupMessage(
+          fpr,
+          numClientElements,
+          setupElements,
+          psi.dataStructure.GCS
+        );
+        
+        return new Response(Buffer.from(serverSetup.serializeBinary()), {
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+      }
+      // Step 2: Process the client's blinded tile request
+      else if (req.method === 'POST' && url.pathname === '/request') {
+        try {
+          const requestData = await req.arrayBuffer();
+          const clientRequest = psi.request.deserializeBinary(new Uint8Array(requestData));
+          
+          const refusal = queryBudget.checkRequest(clientId, clientRequest.getEncryptedElementsList().length);
+          if (refusal) {
+            return new Response(refusal.reason, { status: refusal.status });
           }
-          return new Response(tileBuffer, {
+          
+          const serverResponse = server.processRequest(clientRequest);
+          
+          return new Response(Buffer.from(serverResponse.serializeBinary()), {
             headers: { 'Content-Type': 'application/octet-stream' }
           });
-        } else {
-          return new Response(null, { status: 204 });
+        } catch (error) {
+          console.error('Error processing client request:', error);
+          return new Response('Error processing request', { status: 500 });
         }
       } else {
         return new Response('Not found', { status: 404 });
       }
-    },
+    }),
     error(err) {
       console.error(`Server error: ${err.message}`);
       return new Response('Server error', { status: 500 });
@@ -224,137 +431,168 @@ if (options.server) {
 }
 
 /* ================== CLIENT CODE ================== */
-if (options.client) {
-  (async () => {
-    // The client uses the same shared parameters.
-    const { elements, png, tileInfo, width, height, tilesAcross, tilesDown, tileSize } = readImageTiles(options.file);
-    console.error(`Client loaded ${elements.length} tile elements from image ${options.file} using tile size ${tileSize}`);
-    
-    const [host, port] = options.client.split(':');
-    const targetPort = parseInt(port || '5995', 10);
-    
-    // For each tile, the client sends a POST request to /get_tile_intersection.
-    const totalTiles = elements.length;
-    const tileFunctions = [];
-    for (let i = 0; i < totalTiles; i++) {
-      tileFunctions.push(async () => {
-        const url = `http://${host}:${targetPort}/get_tile_intersection?file=${encodeURIComponent(options.file)}&tile_idx=${i}`;
-        const res = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'text/plain' },
-          body: elements[i]
-        });
-        if (res.status === 200) {
-          const tileBytes = await res.arrayBuffer();
-          return { idx: i, intersect: true, tileBytes: Buffer.from(tileBytes) };
-        } else {
-          return { idx: i, intersect: false };
-        }
-      });
+async function runClient() {
+  const [host, port] = options.client.split(':');
+  const targetPort = parseInt(port || '5995', 10);
+  
+  const startedAt = new Date().toISOString();
+  let image = await loadImage(options.file);
+  const setupHeaders = {};
+  // Where the compared region starts in our image, for the --report
+  let origin = { x: 0, y: 0 };
+  let alignment = null;
+  if (options.align) {
+    // Step 0: Match our anchors against the server's and crop both images to
+    // the region they have in common. This starts our session, so the server
+    // wants to know how many tiles we may query at most.
+    const tileSize = parseInt(options.tileSize, 10) || 5;
+    const maxTiles = Math.floor(image.width / tileSize) * Math.floor(image.height / tileSize);
+    const anchorsResponse = await peerFetch(`http://${host}:${targetPort}/anchors`, {
+      headers: { 'X-Num-Elements': maxTiles.toString() }
+    });
+    if (!anchorsResponse.ok) {
+      throw new Error(`HTTP Error: ${anchorsResponse.status} ${await anchorsResponse.text()}`);
     }
-    
-    // Process requests with a concurrency limit (10 at a time).
-    const concurrencyLimit = 10;
-    const results = await runWithConcurrency(tileFunctions, concurrencyLimit);
-    
-    // Update the client's PNG data for intersecting tiles.
-    const intersectionSet = new Set();
-    for (const r of results) {
-      if (r.intersect) {
-        intersectionSet.add(r.idx);
-        const { tx, ty } = tileInfo[r.idx];
-        let offset = 0;
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tx * tileSize + x;
-            const globalY = ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            png.data[idx] = r.tileBytes[offset++];
-            png.data[idx + 1] = r.tileBytes[offset++];
-            png.data[idx + 2] = r.tileBytes[offset++];
-            png.data[idx + 3] = r.tileBytes[offset++];
-          }
-        }
-      } else {
-        // Mark non-intersecting tile.
-        const { tx, ty } = tileInfo[r.idx];
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tx * tileSize + x;
-            const globalY = ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            png.data[idx] = 0;
-            png.data[idx + 1] = 0;
-            png.data[idx + 2] = 0;
-            png.data[idx + 3] = 0;
-          }
-        }
-      }
-      printProgressBar(r.idx + 1, totalTiles, "Tile intersection progress:");
+    const serverAnchors = await anchorsResponse.json();
+    const offset = estimateOffset(findAnchors(image, serverAnchors.salt), serverAnchors.anchors);
+    const overlap = offset && overlapRegion(serverAnchors, image, offset);
+    if (overlap) {
+      console.error(`Aligned images with offset (${offset.dx},${offset.dy}) from ${offset.votes} matching anchors; comparing a ${overlap.client.width}×${overlap.client.height} overlap`);
+      image = cropImage(image, overlap.client);
+      origin = overlap.client;
+      alignment = { dx: offset.dx, dy: offset.dy, votes: offset.votes, region: overlap.client };
+      const { x, y, width, height } = overlap.server;
+      setupHeaders['X-Align-Crop'] = [x, y, width, height].join(',');
+    } else {
+      console.error('Could not align the images, comparing them as-is');
     }
-    
-    console.error(`Total intersection: ${intersectionSet.size} tiles out of ${totalTiles}`);
-    
-    // --- Smoothing Pass ---
-    for (let i = 0; i < tileInfo.length; i++) {
-      const { tx, ty } = tileInfo[i];
-      const globalIdx = ((ty * tileSize) * width + tx * tileSize) * 4;
-      if (png.data[globalIdx + 3] !== 255) {
-        const neighborCoords = [];
-        if (tx > 0) neighborCoords.push({ tx: tx - 1, ty });
-        if (tx < tilesAcross - 1) neighborCoords.push({ tx: tx + 1, ty });
-        if (ty > 0) neighborCoords.push({ tx, ty: ty - 1 });
-        if (ty < tilesDown - 1) neighborCoords.push({ tx, ty: ty + 1 });
-        
-        const neighborColors = [];
-        for (const { tx: ntx, ty: nty } of neighborCoords) {
-          const nGlobalIdx = ((nty * tileSize) * width + ntx * tileSize) * 4;
-          if (png.data[nGlobalIdx + 3] === 255) {
-            neighborColors.push(getTileAverageColor(png, ntx, nty, tileSize, width));
-          }
-        }
-        
-        let avgColor;
-        if (neighborColors.length > 0) {
-          let sumR = 0, sumG = 0, sumB = 0, sumA = 0;
-          for (const col of neighborColors) {
-            sumR += col.r;
-            sumG += col.g;
-            sumB += col.b;
-            sumA += col.a;
-          }
-          avgColor = {
-            r: Math.round(sumR / neighborColors.length),
-            g: Math.round(sumG / neighborColors.length),
-            b: Math.round(sumB / neighborColors.length),
-            a: 255
-          };
-        } else {
-          avgColor = { r: 255, g: 255, b: 255, a: 255 };
-        }
-        
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tx * tileSize + x;
-            const globalY = ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            png.data[idx] = avgColor.r;
-            png.data[idx + 1] = avgColor.g;
-            png.data[idx + 2] = avgColor.b;
-            png.data[idx + 3] = 255;
-          }
-        }
-      }
-      printProgressBar(i + 1, tileInfo.length, "Smoothing pass progress:");
+  }
+  
+  const { elements, png, tileInfo, width, height, tilesAcross, tilesDown, tileSize, regionCount } = tileImage(image);
+  const revealIntersection = !!options.revealIntersection;
+  console.error(`Client loaded ${elements.length} tile elements from image ${options.file} using tile size ${tileSize}`);
+  console.error(`Reveal intersection: ${revealIntersection}`);
+  // With --text-regions, several tiles can make up one element
+  const totalElements = elements.length;
+  
+  const psi = await PSI();
+  const client = psi.client.createWithNewKey(revealIntersection);
+  
+  // Step 1: Get the server setup
+  const setupResponse = await peerFetch(`http://${host}:${targetPort}/setup`, {
+    method: 'GET',
+    headers: { ...setupHeaders, 'X-Num-Elements': totalElements.toString() }
+  });
+  if (!setupResponse.ok) {
+    throw new Error(`HTTP Error: ${setupResponse.status}`);
+  }
+  const setupData = await setupResponse.arrayBuffer();
+  
+  // Step 2: Send all of our tiles at once as a single blinded request
+  const clientRequest = client.createRequest(elements);
+  const responseResult = await peerFetch(`http://${host}:${targetPort}/request`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: clientRequest.serializeBinary()
+  });
+  if (!responseResult.ok) {
+    throw new Error(`HTTP Error: ${responseResult.status}`);
+  }
+  const responseData = await responseResult.arrayBuffer();
+  
+  // Step 3: Process the server's response
+  const serverSetup = psi.serverSetup.deserializeBinary(new Uint8Array(setupData));
+  const serverResponse = psi.response.deserializeBinary(new Uint8Array(responseData));
+  
+  const peerIdentity = peerAuth ? await peerFetch.identityOf(new URL(`http://${host}:${targetPort}`).origin) : null;
+  const report = options.report ? {
+    file: options.file,
+    tileSize,
+    textRegions: options.textRegions ? { gap: parseInt(options.textGap, 10), regions: regionCount } : null,
+    match: options.match,
+    tolerance: options.match === 'exact' ? null : parseInt(options.tolerance, 10),
+    fpr: parseFloat(options.fpr),
+    revealIntersection,
+    identity: peerAuth ? peerAuth.identity.publicKey : null,
+    peer: {
+      address: options.client,
+      identity: peerIdentity,
+      name: peerIdentity ? peerAuth.trustedPeers.get(peerIdentity) : null
+    },
+    alignment,
+    startedAt
+  } : null;
+  
+  if (!revealIntersection) {
+    const intersectionSize = client.getIntersectionSize(serverSetup, serverResponse);
+    console.error(`Intersection size: ${intersectionSize} elements out of ${totalElements}`);
+    if (report) {
+      report.tiles = { total: tileInfo.length };
+      report.elements = { total: totalElements, intersected: intersectionSize };
+      report.finishedAt = new Date().toISOString();
+      writeReport(report);
+    } else {
+      console.log(`Intersection size: ${intersectionSize}`);
     }
-    
-    console.error("Smoothing complete: non-intersecting tiles replaced with neighbor-averaged colors.");
-    const outputBuffer = PNG.sync.write(png);
-    const outputPath = path.join(process.cwd(), 'psi_output.png');
-    fs.writeFileSync(outputPath, outputBuffer);
-    console.error(`Final image written to ${outputPath}`);
-    
-  })().catch(err => {
+    return;
+  }
+  
+  const intersection = client.getIntersection(serverSetup, serverResponse);
+  const intersectionSet = new Set(intersection);
+  
+  // Intersecting tiles agree with the other side on their match key: their
+  // position and, with --match exact, their RGB; with quantize or ahash only
+  // their bucketed colors or hash, so the pixels may differ slightly. We keep
+  // our own pixels for them and blank out everything else, including the
+  // partial tiles at the edges that were never compared.
+  const redactedTiles = tileInfo.filter(({ element }) => !intersectionSet.has(element));
+  const mask = redactionMask({ width, height, tileSize }, redactedTiles);
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    if (mask[pixel]) png.data.fill(0, pixel * 4, pixel * 4 + 4);
+  }
+  
+  console.error(`Total intersection: ${intersectionSet.size} elements out of ${totalElements}`);
+  
+  fillRedacted(png, mask, { fill: options.fill, tileSize, pixelSize: parseInt(options.pixelSize, 10) });
+  console.error(`Non-intersecting tiles filled in with --fill ${options.fill}`);
+  const outputPath = path.resolve(options.output);
+  await writeImage(png, outputPath);
+  console.error(`Final image written to ${outputPath}`);
+  if (options.maskOutput) {
+    fs.writeFileSync(options.maskOutput, PNG.sync.write(maskImage(mask, width, height)));
+    console.error(`Redaction mask written to ${options.maskOutput}`);
+  }
+  
+  if (report) {
+    // Redacted tiles and edge strips as [x, y, width, height] in the original image
+    const redactedRegions = redactedTiles
+      .map(({ tx, ty }) => [origin.x + tx * tileSize, origin.y + ty * tileSize, tileSize, tileSize]);
+    const comparedWidth = tilesAcross * tileSize, comparedHeight = tilesDown * tileSize;
+    if (comparedWidth < width) {
+      redactedRegions.push([origin.x + comparedWidth, origin.y, width - comparedWidth, comparedHeight]);
+    }
+    if (comparedHeight < height) {
+      redactedRegions.push([origin.x, origin.y + comparedHeight, width, height - comparedHeight]);
+    }
+    Object.assign(report, {
+      tiles: { total: tileInfo.length, intersected: tileInfo.length - redactedTiles.length, redacted: redactedTiles.length },
+      elements: { total: totalElements, intersected: intersectionSet.size, redacted: totalElements - intersectionSet.size },
+      intersection,
+      redactedRegions,
+      fill: options.fill,
+      output: outputPath,
+      mask: options.maskOutput || null,
+      finishedAt: new Date().toISOString()
+    });
+    writeReport(report);
+  }
+}
+
+// Main execution
+if (options.server) {
+  runServer();
+} else if (options.client) {
+  runClient().catch(err => {
     console.error(`Client error: ${err.message}`);
     process.exit(1);
   });
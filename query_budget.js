@@ -0,0 +1,182 @@
+// Per-client query budget and hang-man attack detection for the PSI servers.
+//
+// The server never sees the client's elements (they arrive blinded with a
+// fresh client key every session), so it cannot diff element sets directly.
+// What it can see is how many elements each session contains. A hang-man
+// attacker re-sends the same capture with a few tokens swapped out, so their
+// sessions show up as a run of near-identical element counts from the same
+// client. That pattern is what gets flagged here.
+//
+// Budgets and flags are kept over a sliding window of time, so an honest
+// client that re-runs the same capture a few times is refused for a while,
+// not for as long as the server keeps running.
+//
+// A client can run a cardinality-only preflight round before revealing the
+// intersection. The preflight only learns the intersection size, and the one
+// reveal that follows it, with the same number of elements, is the same
+// query again: it doesn't use another session and isn't counted again for
+// hang-man detection. Any further session is charged as usual.
+
+/**
+ * Creates a query budget tracker.
+ *
+ * Options:
+ * - maxSessions: maximum number of PSI sessions per client and window (0 = unlimited)
+ * - maxElements: maximum total elements queried per client and window (0 = unlimited)
+ * - hangmanTolerance: sessions whose element counts differ by at most this
+ *   many elements are considered variants of the same query
+ * - hangmanRepeats: how many such variants in a row within a window are flagged
+ * - onHangman: 'refuse' to block the client once flagged, 'alert' to only log
+ * - windowMs: length of the sliding window; a flagged client is refused
+ *   until a window has passed since it was flagged
+ * - now: the clock, in milliseconds
+ *
+ * Returns { checkSetup(clientId, numElements, { chunked, preflight }),
+ * checkRequest(clientId, numElements, { chunk, preflight }),
+ * checkReverse(clientId, numElements) } which return null when the query is
+ * allowed, or { status, reason } when it must be refused.
+ */
+function createQueryBudget({
+  maxSessions = 10,
+  maxElements = 0,
+  hangmanTolerance = 5,
+  hangmanRepeats = 3,
+  onHangman = 'refuse',
+  windowMs = 60 * 60 * 1000,
+  now = Date.now
+} = {}) {
+  if (onHangman !== 'refuse' && onHangman !== 'alert') {
+    throw new Error(`Invalid hang-man action: ${onHangman} (expected "refuse" or "alert")`);
+  }
+
+  // clientId -> { sessions, elements, elementCounts, preflight, revealing, flaggedAt },
+  // where sessions are the start times of sessions, elements and
+  // elementCounts are [time, count] pairs of the elements charged and of the
+  // queries made, preflight is the element count of a preflight awaiting
+  // its reveal, and revealing that of the reveal set up for it, until it is
+  // recorded. Everything older than the window is dropped.
+  const clients = new Map();
+
+  function getClient(clientId) {
+    if (!clients.has(clientId)) {
+      clients.set(clientId, { sessions: [], elements: [], elementCounts: [], preflight: null, revealing: null, flaggedAt: null });
+    }
+    const client = clients.get(clientId);
+    const since = now() - windowMs;
+    client.sessions = client.sessions.filter(time => time > since);
+    client.elements = client.elements.filter(([time]) => time > since);
+    client.elementCounts = client.elementCounts.filter(([time]) => time > since);
+    if (client.flaggedAt !== null && client.flaggedAt <= since) {
+      client.flaggedAt = null;
+    }
+    return client;
+  }
+
+  const totalElements = client => client.elements.reduce((total, [, count]) => total + count, 0);
+  const isRefused = client => client.flaggedAt !== null && onHangman === 'refuse';
+
+  function refuse(clientId, status, reason) {
+    console.error(`Refusing query from ${clientId}: ${reason}`);
+    return { status, reason };
+  }
+
+  // Records a query of sessionElements elements for hang-man detection
+  function recordQuery(clientId, client, sessionElements, preflight) {
+    const isFollowUp = !preflight && client.revealing === sessionElements;
+    client.revealing = null;
+    client.preflight = preflight ? sessionElements : null;
+    if (isFollowUp) {
+      return null;
+    }
+    client.elementCounts = client.elementCounts.concat([[now(), sessionElements]]).slice(-hangmanRepeats);
+
+    // Look for a run of near-identical queries ending with this one
+    const recent = client.elementCounts.map(([, count]) => count);
+    const isVariantRun = hangmanRepeats > 1 && recent.length >= hangmanRepeats &&
+      Math.max(...recent) - Math.min(...recent) <= hangmanTolerance;
+
+    if (isVariantRun) {
+      console.error(`WARNING: possible hang-man attack from ${clientId}: ${recent.length} queries in a row with ${recent.join(', ')} elements`);
+      client.flaggedAt = now();
+      if (onHangman === 'refuse') {
+        return refuse(clientId, 403, 'possible hang-man attack');
+      }
+    }
+
+    return null;
+  }
+
+  // Called on /setup, before any work is done for the client. A chunked
+  // session is recorded as a query right here, with the number of elements
+  // the client declares for the whole session: it can stop after any chunk,
+  // so waiting for its last request would let it dodge hang-man detection.
+  // The server must then hold the client to the number it declared.
+  function checkSetup(clientId, numElements, { chunked = false, preflight = false } = {}) {
+    const client = getClient(clientId);
+
+    if (isRefused(client)) {
+      return refuse(clientId, 403, 'client was flagged for a possible hang-man attack');
+    }
+    const isFollowUp = !preflight && client.preflight === numElements;
+    if (maxSessions > 0 && !isFollowUp && client.sessions.length >= maxSessions) {
+      return refuse(clientId, 429, `session budget of ${maxSessions} exhausted`);
+    }
+    if (maxElements > 0 && totalElements(client) + numElements > maxElements) {
+      return refuse(clientId, 429, `element budget of ${maxElements} exhausted`);
+    }
+
+    // A preflight is followed up by one reveal at most
+    if (isFollowUp) {
+      client.preflight = null;
+      client.revealing = numElements;
+    } else {
+      client.revealing = null;
+      client.sessions.push(now());
+    }
+    return chunked ? recordQuery(clientId, client, numElements, preflight) : null;
+  }
+
+  // Called on /request with the number of blinded elements actually sent,
+  // which is what gets charged against the budget (the setup header is only
+  // the client's claim). Each request of a chunked session (chunk set) is
+  // charged as it arrives, but was already recorded as a query on its setup.
+  function checkRequest(clientId, numElements, { chunk = false, preflight = false } = {}) {
+    const client = getClient(clientId);
+
+    if (isRefused(client)) {
+      return refuse(clientId, 403, 'client was flagged for a possible hang-man attack');
+    }
+    if (maxElements > 0 && totalElements(client) + numElements > maxElements) {
+      return refuse(clientId, 429, `element budget of ${maxElements} exhausted`);
+    }
+
+    client.elements.push([now(), numElements]);
+    return chunk ? null : recordQuery(clientId, client, numElements, preflight);
+  }
+
+  // Called when a client has the server run a reverse session (psi.js
+  // --symmetric) over numElements of its own elements. It uses a session and
+  // is charged like a request, but the client learns nothing from it, so it
+  // isn't a query for hang-man detection.
+  function checkReverse(clientId, numElements) {
+    const client = getClient(clientId);
+
+    if (isRefused(client)) {
+      return refuse(clientId, 403, 'client was flagged for a possible hang-man attack');
+    }
+    if (maxSessions > 0 && client.sessions.length >= maxSessions) {
+      return refuse(clientId, 429, `session budget of ${maxSessions} exhausted`);
+    }
+    if (maxElements > 0 && totalElements(client) + numElements > maxElements) {
+      return refuse(clientId, 429, `element budget of ${maxElements} exhausted`);
+    }
+
+    client.sessions.push(now());
+    client.elements.push([now(), numElements]);
+    return null;
+  }
+
+  return { checkSetup, checkRequest, checkReverse };
+}
+
+module.exports = { createQueryBudget };
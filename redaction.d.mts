@@ -0,0 +1,78 @@
+// Type declarations for redaction.mjs
+
+export type SplitMode = 'line' | 'word' | 'char' | 'dom';
+
+export type RedactionStyle = 'hash' | 'placeholder' | 'bucket' | 'format' | 'remove' | 'html';
+
+export const SPLIT_MODES: SplitMode[];
+export const REDACTION_STYLES: RedactionStyle[];
+
+export interface HtmlPart {
+  kind: 'text' | 'rawtext' | 'comment' | 'space' | 'markup' | 'tag';
+  text?: string;
+  elementIdx?: number;
+  pieces?: string[];
+  attrs?: { name: string; value: string; elementIdx: number }[];
+}
+
+export interface Tokenized {
+  elements: string[];
+  originalContent: string;
+  splitMode: SplitMode;
+  parts?: HtmlPart[];
+}
+
+export type Intersection = Iterable<number>;
+
+export function randomSalt(): string;
+export function createRedactor(
+  options?: { style?: RedactionStyle; salt?: string }
+): (text: string, context?: 'text' | 'raw') => string;
+export function tokenizeHtml(content: string): { elements: string[]; parts: HtmlPart[] };
+export function tokenize(content: string, splitMode?: SplitMode): Tokenized;
+export function redact(
+  tokenized: Tokenized,
+  intersection: Intersection,
+  options?: { style?: RedactionStyle; salt?: string }
+): string;
+export function escapeHtml(text: string): string;
+export function highlight(
+  tokenized: Tokenized,
+  intersection: Intersection,
+  options?: { format?: 'ansi' | 'html'; classes?: { match: string; unmatch: string } }
+): string;
+export function redactedRanges(tokenized: Tokenized, intersection: Intersection): [number, number][];
+export function elementRanges(tokenized: Tokenized): [number, number][][];
+
+export interface IntersectionServer {
+  setup(numClientElements: number): Uint8Array;
+  readRequest(requestBytes: Uint8Array): { size: number; respond(): Uint8Array };
+  delete(): void;
+}
+
+export interface IntersectionClient {
+  request(): Uint8Array;
+  intersection(setupBytes: Uint8Array, responseBytes: Uint8Array): number[] | number;
+  delete(): void;
+}
+
+// psi is a loaded @openmined/psi.js instance
+export function createIntersectionServer(
+  psi: unknown,
+  elements: string[],
+  options?: { fpr?: number; revealIntersection?: boolean }
+): IntersectionServer;
+export function createIntersectionClient(
+  psi: unknown,
+  elements: string[],
+  options?: { revealIntersection?: boolean }
+): IntersectionClient;
+export function intersect(
+  psi: unknown,
+  elements: string[],
+  transport: {
+    getSetup(numElements: number): Promise<Uint8Array>;
+    sendRequest(requestBytes: Uint8Array): Promise<Uint8Array>;
+  },
+  options?: { revealIntersection?: boolean }
+): Promise<number[] | number>;
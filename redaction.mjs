@@ -0,0 +1,694 @@
+// Text splitting, PSI intersection, highlighting and redaction, shared by
+// psi.js and the browser UI. Plain JavaScript with no dependencies on Node or
+// the DOM, so it runs under Bun, Node and in the browser; the PSI functions
+// take an already loaded @openmined/psi.js instance.
+//
+//   const tokenized = tokenize(html, 'dom');
+//   const indices = await intersect(psi, tokenized.elements, transport);
+//   const output = redact(tokenized, indices);
+
+export const SPLIT_MODES = ['line', 'word', 'char', 'dom'];
+
+/**
+ * Returns a random salt (hex) from the platform's secure random generator.
+ */
+export function randomSalt() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Unless a salt is passed in, redactions are consistent within one run only,
+// so they can't be reversed by hashing guesses or linked across archives
+const RUN_SALT = randomSalt();
+
+/* ================== SHA-256 ================== */
+// Synchronous, so that redaction works the same everywhere (WebCrypto's
+// digest is async-only)
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// SHA-256 of the UTF-8 encoding of a string, as hex
+function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+  
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+  return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+}
+
+/* ================== REDACTION ================== */
+
+// How redacted text is replaced, and what each style still reveals:
+// - hash: pseudorandom letters and digits of the same length, the same for the
+//   same text and salt. Leaks the exact length, and repeated text is
+//   recognizable as repeated.
+// - placeholder: a fixed [REDACTED]. Leaks only how many elements were
+//   removed, and where.
+// - bucket: X padding with the length rounded up to a multiple of 8. Leaks
+//   the length to within 8 characters.
+// - format: letters and digits swapped for pseudorandom ones of the same
+//   kind and case, everything else kept, so an email still looks like
+//   xxxx@xxxx.xxx. Leaks the length, the shape and all punctuation, and
+//   repeated text is recognizable as repeated.
+// - remove: nothing at all. Leaks only what the surrounding text implies.
+// - html: <span class="redacted">[REDACTED]</span> in text, and a plain
+//   placeholder inside attribute values, scripts, styles and comments where
+//   markup is not allowed. Leaks the same as placeholder.
+export const REDACTION_STYLES = ['hash', 'placeholder', 'bucket', 'format', 'remove', 'html'];
+
+const PLACEHOLDER = '[REDACTED]';
+const BUCKET_SIZE = 8;
+
+/**
+ * Returns a function replace(text, context) that redacts text in the given
+ * style (see REDACTION_STYLES). context is 'text' for content that may hold
+ * markup and 'raw' for attribute values, scripts, styles and comments.
+ * The salt defaults to a random one generated once per run.
+ */
+export function createRedactor({ style = 'hash', salt = RUN_SALT } = {}) {
+  if (!REDACTION_STYLES.includes(style)) {
+    throw new Error(`Invalid redaction style: ${style}`);
+  }
+  
+  // Cache for redaction values to ensure consistent replacement
+  const cache = new Map();
+  const alphabets = {
+    any: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digit: '0123456789'
+  };
+  
+  // Use the hash to generate a pseudorandom sequence of the same length, with
+  // a different part of the hash for each character. Characters are code
+  // points, so letters and digits outside the BMP are replaced too.
+  const pseudorandom = (text, alphabetFor) => {
+    const hash = sha256Hex(text + salt);
+    return [...text].map((char, i) => {
+      const alphabet = alphabetFor(char);
+      const value = parseInt(hash.substr(i % (hash.length - 1), 2), 16);
+      return alphabet ? alphabet[value % alphabet.length] : char;
+    }).join('');
+  };
+  
+  const styles = {
+    hash: text => pseudorandom(text, () => alphabets.any),
+    placeholder: () => PLACEHOLDER,
+    bucket: text => 'X'.repeat(Math.ceil(text.length / BUCKET_SIZE) * BUCKET_SIZE),
+    format: text => pseudorandom(text, char =>
+      /\p{Lu}/u.test(char) ? alphabets.upper
+        : /\p{L}/u.test(char) ? alphabets.lower
+          : /\p{N}/u.test(char) ? alphabets.digit
+            : null),
+    remove: () => '',
+    html: (text, context) => context === 'text' ? `<span class="redacted">${PLACEHOLDER}</span>` : PLACEHOLDER
+  };
+  
+  return (text, context = 'text') => {
+    const cacheKey = `${context}:${text}`;
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, styles[style](text, context));
+    }
+    return cache.get(cacheKey);
+  };
+}
+
+/* ================== TOKENIZING ================== */
+
+// Elements whose contents are raw text and must not be parsed as markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Tokenize HTML into text nodes, attribute values and tag skeletons.
+//
+// Returns { elements, parts } where elements are the PSI elements and parts
+// cover the whole original content in order, so that the document can be
+// rebuilt with individual text nodes and attribute values swapped out:
+// - { kind: 'text' | 'rawtext' | 'comment', text, elementIdx }
+// - { kind: 'space' | 'markup', text } (whitespace and comment delimiters, always kept)
+// - { kind: 'tag', elementIdx, pieces, attrs } where the tag source is
+//   pieces[0] + attrs[0].value + pieces[1] + ... + pieces[attrs.length]
+//   and the tag skeleton element is pieces.join('') (attribute values removed)
+export function tokenizeHtml(content) {
+  const elements = [];
+  const parts = [];
+  const markupStart = /<(?:!--|[!?\/]?[a-zA-Z])/g;
+  const tagName = /<\/?([a-zA-Z][^\s\/>]*)/y;
+  const attribute = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+  
+  const pushText = (text, kind = 'text') => {
+    if (!text) return;
+    if (text.trim().length === 0) {
+      parts.push({ kind: 'space', text });
+    } else {
+      parts.push({ kind, text, elementIdx: elements.push(text) - 1 });
+    }
+  };
+  
+  let i = 0;
+  while (i < content.length) {
+    markupStart.lastIndex = i;
+    const match = markupStart.exec(content);
+    if (!match) {
+      pushText(content.slice(i));
+      break;
+    }
+    const lt = match.index;
+    pushText(content.slice(i, lt));
+    
+    // Comments: keep the delimiters, the inside is a separate element
+    if (content.startsWith('<!--', lt)) {
+      const end = content.indexOf('-->', lt + 4);
+      const innerEnd = end === -1 ? content.length : end;
+      parts.push({ kind: 'markup', text: '<!--' });
+      pushText(content.slice(lt + 4, innerEnd), 'comment');
+      if (end !== -1) parts.push({ kind: 'markup', text: '-->' });
+      i = end === -1 ? content.length : end + 3;
+      continue;
+    }
+    
+    // Doctypes and processing instructions are a single skeleton element
+    if (content[lt + 1] === '!' || content[lt + 1] === '?') {
+      const end = content.indexOf('>', lt);
+      const stop = end === -1 ? content.length : end + 1;
+      const text = content.slice(lt, stop);
+      parts.push({ kind: 'tag', elementIdx: elements.push(text) - 1, pieces: [text], attrs: [] });
+      i = stop;
+      continue;
+    }
+    
+    // Start and end tags, attribute by attribute so quoted '>' is handled
+    tagName.lastIndex = lt;
+    const name = tagName.exec(content)[1].toLowerCase();
+    const isEndTag = content[lt + 1] === '/';
+    const pieces = [];
+    const attrs = [];
+    let pieceStart = lt;
+    let pos = tagName.lastIndex;
+    let closed = false;
+    
+    while (pos < content.length) {
+      const char = content[pos];
+      if (char === '>') {
+        closed = true;
+        pos++;
+        break;
+      }
+      if (/[\s\/]/.test(char)) {
+        pos++;
+        continue;
+      }
+      attribute.lastIndex = pos;
+      const attr = attribute.exec(content);
+      if (!attr) {
+        pos++;
+        continue;
+      }
+      const value = attr[2] ?? attr[3] ?? attr[4];
+      if (value) {
+        const valueStart = attribute.lastIndex - value.length - (attr[4] === undefined ? 1 : 0);
+        pieces.push(content.slice(pieceStart, valueStart));
+        attrs.push({ name: attr[1], value });
+        pieceStart = valueStart + value.length;
+      }
+      pos = attribute.lastIndex;
+    }
+    
+    // An unterminated tag is just text
+    if (!closed) {
+      pushText(content.slice(lt));
+      break;
+    }
+    
+    pieces.push(content.slice(pieceStart, pos));
+    const tagIdx = elements.push(pieces.join('')) - 1;
+    for (const attr of attrs) {
+      attr.elementIdx = elements.push(`${attr.name}=${attr.value}`) - 1;
+    }
+    parts.push({ kind: 'tag', elementIdx: tagIdx, pieces, attrs });
+    i = pos;
+    
+    // The contents of <script>, <style> etc. run until the matching end tag
+    if (!isEndTag && RAW_TEXT_TAGS.has(name) && !/\/>$/.test(pieces[pieces.length - 1])) {
+      const endTag = new RegExp(`</${name}[\\s\\/>]`, 'ig');
+      endTag.lastIndex = i;
+      const end = endTag.exec(content);
+      const stop = end ? end.index : content.length;
+      pushText(content.slice(i, stop), 'rawtext');
+      i = stop;
+    }
+  }
+  
+  return { elements, parts };
+}
+
+// Word mode: runs of ASCII letters and digits are words, every other
+// character (whitespace and punctuation) is a token of its own
+const WORD_TOKEN = /[a-zA-Z0-9]+|[^]/gu;
+// Char mode: every non-whitespace character is a token, whitespace is skipped
+const CHAR_TOKEN = /\s+|[^]/gu;
+
+// Split the original content of line, word and char modes into segments that
+// cover it exactly, in order: { text, start, elementIdx } where elementIdx is
+// undefined for text that is not an element (line breaks, blank lines and
+// whitespace in char mode). Whitespace is never redacted or highlighted,
+// even where it is an element.
+function segments(content, splitMode) {
+  const result = [];
+  let elementIdx = 0;
+  let start = 0;
+  const push = (text, isElement) => {
+    result.push({ text, start, elementIdx: isElement ? elementIdx++ : undefined });
+    start += text.length;
+  };
+  
+  if (splitMode === 'line') {
+    content.split(/(\r?\n)/).forEach((text, idx) => push(text, idx % 2 === 0 && text.trim().length > 0));
+  } else if (splitMode === 'word') {
+    for (const [text] of content.matchAll(WORD_TOKEN)) push(text, true);
+  } else {
+    for (const [text] of content.matchAll(CHAR_TOKEN)) push(text, text.trim().length > 0);
+  }
+  return result;
+}
+
+const isWhitespace = text => text.trim().length === 0;
+
+// The PSI element of a segment: in word mode every whitespace character is ' '
+const segmentElement = (text, splitMode) => splitMode === 'word' && isWhitespace(text) ? ' ' : text;
+
+// Where content read so far can be cut without splitting a token: after the
+// last line break, or before a trailing word or whitespace run that the next
+// piece of content may continue
+const trailingRun = (content, pattern) => {
+  let cut = content.length;
+  while (cut > 0 && pattern.test(content[cut - 1])) cut--;
+  return cut;
+};
+const STREAM_CUT = {
+  line: content => content.lastIndexOf('\n') + 1,
+  word: content => trailingRun(content, /[a-zA-Z0-9]/),
+  char: content => trailingRun(content, /\s/)
+};
+
+/**
+ * Splits content read a piece at a time, e.g. from a file stream, into the
+ * same segments as tokenize() does in line, word and char mode, without ever
+ * holding more than a piece and the token it ends in. Takes an iterable or
+ * async iterable of strings, and yields one array of segments per piece:
+ * { text, elementIdx, element } where elementIdx and element are undefined
+ * for text that is not an element.
+ */
+export async function* streamSegments(chunks, splitMode) {
+  if (!STREAM_CUT[splitMode]) {
+    throw new Error(`Split mode ${splitMode} can't be streamed`);
+  }
+  let offset = 0;
+  let pending = '';
+  const split = content => {
+    const batch = segments(content, splitMode).filter(({ text }) => text.length > 0).map(({ text, elementIdx }) =>
+      elementIdx === undefined
+        ? { text }
+        : { text, elementIdx: offset + elementIdx, element: segmentElement(text, splitMode) }
+    );
+    offset += batch.filter(segment => segment.elementIdx !== undefined).length;
+    return batch;
+  };
+  
+  for await (const chunk of chunks) {
+    pending += chunk;
+    const cut = STREAM_CUT[splitMode](pending);
+    if (cut > 0) {
+      yield split(pending.slice(0, cut));
+      pending = pending.slice(cut);
+    }
+  }
+  yield split(pending);
+}
+
+const toIndexSet = intersection => intersection instanceof Set ? intersection : new Set(intersection);
+
+/**
+ * Splits content into PSI elements:
+ * - line: each non-blank line
+ * - word: words, single punctuation characters, and ' ' for each whitespace character
+ * - char: each non-whitespace character
+ * - dom: HTML text nodes, attribute values and tag skeletons (see tokenizeHtml)
+ *
+ * Returns { elements, originalContent, splitMode, parts } (parts only in dom
+ * mode), which is what highlight(), redact() and redactedRanges() take.
+ */
+export function tokenize(content, splitMode = 'line') {
+  if (splitMode === 'dom') {
+    const { elements, parts } = tokenizeHtml(content);
+    return { elements, originalContent: content, splitMode, parts };
+  }
+  if (!SPLIT_MODES.includes(splitMode)) {
+    throw new Error(`Invalid split mode: ${splitMode}`);
+  }
+  const elements = segments(content, splitMode)
+    .filter(segment => segment.elementIdx !== undefined)
+    .map(({ text }) => segmentElement(text, splitMode));
+  return { elements, originalContent: content, splitMode };
+}
+
+/* ================== OUTPUT ================== */
+
+// Rebuild HTML from tokenizeHtml() parts, keeping the tag structure intact
+// so the output is still valid HTML.
+// - redact: non-intersecting text and attribute values are replaced in place
+//   (every attribute value of a non-intersecting tag skeleton is replaced too)
+// - highlight: text nodes are wrapped in green/red spans and tags get
+//   data-psi-match / data-psi-unmatched attributes
+function renderHtmlParts(parts, indexSet, mode, replace) {
+  let result = '';
+  
+  for (const part of parts) {
+    if (part.kind !== 'tag') {
+      if (part.elementIdx === undefined || indexSet.has(part.elementIdx)) {
+        result += mode === 'highlight' && part.kind === 'text'
+          ? `<span style="background-color:#c8f7c5">${part.text}</span>`
+          : part.text;
+      } else if (mode === 'highlight') {
+        result += part.kind === 'text'
+          ? `<span style="background-color:#f7c5c5">${part.text}</span>`
+          : part.text;
+      } else {
+        result += replace(part.text, part.kind === 'text' ? 'text' : 'raw');
+      }
+      continue;
+    }
+    
+    const tagMatched = indexSet.has(part.elementIdx);
+    const unmatched = [];
+    let tag = part.pieces[0];
+    part.attrs.forEach((attr, idx) => {
+      const attrMatched = tagMatched && indexSet.has(attr.elementIdx);
+      if (!attrMatched) unmatched.push(attr.name);
+      tag += (attrMatched || mode === 'highlight') ? attr.value : replace(attr.value, 'raw');
+      tag += part.pieces[idx + 1];
+    });
+    
+    if (mode === 'highlight' && /^<[a-zA-Z]/.test(tag)) {
+      const markers = [` data-psi-match="${tagMatched}"`];
+      if (unmatched.length > 0) markers.push(` data-psi-unmatched="${unmatched.join(' ')}"`);
+      tag = tag.replace(/\s*\/?>$/, end => markers.join('') + end);
+    }
+    result += tag;
+  }
+  
+  return result;
+}
+
+/**
+ * Rebuilds the full content with elements that are not in the intersection
+ * (an array or Set of element indices) redacted, by default with consistent
+ * hash-based redactions of the same length (see REDACTION_STYLES).
+ */
+export function redact({ originalContent, splitMode, parts }, intersection, { style = 'hash', salt = RUN_SALT } = {}) {
+  const indexSet = toIndexSet(intersection);
+  if (splitMode === 'dom') {
+    return renderHtmlParts(parts, indexSet, 'redact', createRedactor({ style, salt }));
+  }
+  const render = createSegmentRenderer('redact', { style, salt });
+  return segments(originalContent, splitMode).map(segment => render(segment, indexSet)).join('');
+}
+
+const ANSI = { match: '\x1b[32m', unmatch: '\x1b[31m', reset: '\x1b[0m' };
+
+/**
+ * Escapes text for use in HTML content or attribute values.
+ */
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Rebuilds the full content with intersecting elements marked as matched and
+ * the rest as unmatched:
+ * - format 'ansi': green and red terminal colors
+ * - format 'html': escaped text in <span class="..."> using classes.match /
+ *   classes.unmatch
+ * In dom mode the result is always the original HTML, with text nodes in
+ * green/red background spans and data-psi-match attributes on tags.
+ */
+export function highlight({ originalContent, splitMode, parts }, intersection, {
+  format = 'ansi',
+  classes = { match: 'psi-match', unmatch: 'psi-unmatch' }
+} = {}) {
+  const indexSet = toIndexSet(intersection);
+  if (splitMode === 'dom') {
+    return renderHtmlParts(parts, indexSet, 'highlight');
+  }
+  const render = createSegmentRenderer('highlight', { format, classes });
+  return segments(originalContent, splitMode).map(segment => render(segment, indexSet)).join('');
+}
+
+/**
+ * Renders one line, word or char mode segment (from streamSegments()) the
+ * way redact() or highlight() does, for output written a piece at a time.
+ * mode is 'redact' or 'highlight' and options are theirs. Returns
+ * render(segment, intersection), where the intersection is anything with
+ * has(elementIdx).
+ */
+export function createSegmentRenderer(mode, {
+  style = 'hash',
+  salt = RUN_SALT,
+  format = 'ansi',
+  classes = { match: 'psi-match', unmatch: 'psi-unmatch' }
+} = {}) {
+  if (mode === 'redact') {
+    const replace = createRedactor({ style, salt });
+    return ({ text, elementIdx }, indexSet) =>
+      elementIdx === undefined || indexSet.has(elementIdx) || isWhitespace(text) ? text : replace(text);
+  }
+  const html = format === 'html';
+  return ({ text, elementIdx }, indexSet) => {
+    if (elementIdx === undefined || isWhitespace(text)) {
+      return html ? escapeHtml(text) : text;
+    }
+    const status = indexSet.has(elementIdx) ? 'match' : 'unmatch';
+    return html
+      ? `<span class="${classes[status]}">${escapeHtml(text)}</span>`
+      : `${ANSI[status]}${text}${ANSI.reset}`;
+  };
+}
+
+/**
+ * Character ranges [start, end) of the original content that redact()
+ * replaces, with adjacent ranges merged.
+ */
+export function redactedRanges({ originalContent, splitMode, parts }, intersection) {
+  const indexSet = toIndexSet(intersection);
+  const ranges = [];
+  const addRange = (start, end) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === start) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  };
+  
+  if (splitMode !== 'dom') {
+    for (const { text, start, elementIdx } of segments(originalContent, splitMode)) {
+      if (elementIdx !== undefined && !indexSet.has(elementIdx) && !isWhitespace(text)) {
+        addRange(start, start + text.length);
+      }
+    }
+    return ranges;
+  }
+  
+  let offset = 0;
+  for (const part of parts) {
+    if (part.kind !== 'tag') {
+      if (part.elementIdx !== undefined && !indexSet.has(part.elementIdx)) {
+        addRange(offset, offset + part.text.length);
+      }
+      offset += part.text.length;
+      continue;
+    }
+    const tagMatched = indexSet.has(part.elementIdx);
+    offset += part.pieces[0].length;
+    part.attrs.forEach((attr, idx) => {
+      if (!(tagMatched && indexSet.has(attr.elementIdx))) {
+        addRange(offset, offset + attr.value.length);
+      }
+      offset += attr.value.length + part.pieces[idx + 1].length;
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Character ranges [start, end) of the original content that each element
+ * covers, indexed by element. Most elements cover one range; a dom mode tag
+ * skeleton covers each piece of the tag around its attribute values.
+ */
+export function elementRanges({ originalContent, splitMode, elements, parts }) {
+  const ranges = elements.map(() => []);
+  
+  if (splitMode !== 'dom') {
+    for (const { text, start, elementIdx } of segments(originalContent, splitMode)) {
+      if (elementIdx !== undefined) {
+        ranges[elementIdx].push([start, start + text.length]);
+      }
+    }
+    return ranges;
+  }
+  
+  let offset = 0;
+  for (const part of parts) {
+    if (part.kind !== 'tag') {
+      if (part.elementIdx !== undefined) {
+        ranges[part.elementIdx].push([offset, offset + part.text.length]);
+      }
+      offset += part.text.length;
+      continue;
+    }
+    part.pieces.forEach((piece, idx) => {
+      ranges[part.elementIdx].push([offset, offset + piece.length]);
+      offset += piece.length;
+      const attr = part.attrs[idx];
+      if (attr) {
+        ranges[attr.elementIdx].push([offset, offset + attr.value.length]);
+        offset += attr.value.length;
+      }
+    });
+  }
+  return ranges;
+}
+
+/* ================== PSI ================== */
+// Each PSI exchange is setup (server -> client), request (client -> server)
+// and response (server -> client), with every message as serialized bytes so
+// that any transport can carry them.
+
+/**
+ * Server side of an intersection over our elements.
+ *
+ * Returns {
+ *   setup(numClientElements): the setup message for a client,
+ *   readRequest(requestBytes): { size, respond() } so the number of blinded
+ *     elements can be checked before respond() returns the response message,
+ *   delete(): frees the key
+ * }
+ */
+export function createIntersectionServer(psi, elements, { fpr = 0.001, revealIntersection = true } = {}) {
+  const server = psi.server.createWithNewKey(revealIntersection);
+  return {
+    setup(numClientElements) {
+      return server.createSetupMessage(fpr, numClientElements, elements, psi.dataStructure.GCS).serializeBinary();
+    },
+    readRequest(requestBytes) {
+      const request = psi.request.deserializeBinary(requestBytes);
+      return {
+        size: request.getEncryptedElementsList().length,
+        respond: () => server.processRequest(request).serializeBinary()
+      };
+    },
+    delete() {
+      server.delete();
+    }
+  };
+}
+
+/**
+ * Client side of an intersection over our elements, with a fresh key.
+ *
+ * Returns {
+ *   request(): the blinded request message,
+ *   intersection(setupBytes, responseBytes): the indices of our elements in
+ *     the intersection, or only its size without revealIntersection,
+ *   delete(): frees the key
+ * }
+ */
+export function createIntersectionClient(psi, elements, { revealIntersection = true } = {}) {
+  const client = psi.client.createWithNewKey(revealIntersection);
+  return {
+    request() {
+      return client.createRequest(elements).serializeBinary();
+    },
+    intersection(setupBytes, responseBytes) {
+      const setup = psi.serverSetup.deserializeBinary(setupBytes);
+      const response = psi.response.deserializeBinary(responseBytes);
+      return revealIntersection
+        ? client.getIntersection(setup, response)
+        : client.getIntersectionSize(setup, response);
+    },
+    delete() {
+      client.delete();
+    }
+  };
+}
+
+/**
+ * Runs the client side of one exchange over a promise-based transport:
+ *   getSetup(numElements) -> setup bytes
+ *   sendRequest(requestBytes) -> response bytes
+ * Returns the intersection indices (or size without revealIntersection).
+ */
+export async function intersect(psi, elements, { getSetup, sendRequest }, { revealIntersection = true } = {}) {
+  const client = createIntersectionClient(psi, elements, { revealIntersection });
+  try {
+    const setup = await getSetup(elements.length);
+    const response = await sendRequest(client.request());
+    return client.intersection(setup, response);
+  } finally {
+    client.delete();
+  }
+}
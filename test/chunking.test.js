@@ -0,0 +1,107 @@
+const { describe, test, expect } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { bucketOf, bucketElements, spillBuckets, createIndexBitmap } = require('../chunking');
+
+const clientElements = Array.from({ length: 300 }, (_, i) => `line ${i}`);
+const serverElements = Array.from({ length: 300 }, (_, i) => `line ${i * 2}`);
+
+describe('bucketElements', () => {
+  test('puts every element in exactly one bucket', () => {
+    const buckets = bucketElements(clientElements, 'salt', 7);
+    expect(buckets).toHaveLength(7);
+    expect(buckets.flat().sort((a, b) => a - b)).toEqual(clientElements.map((_, idx) => idx));
+    expect(buckets.every(bucket => bucket.length > 0)).toBe(true);
+  });
+
+  test('the per-bucket intersections add up to the full intersection', () => {
+    const clientBuckets = bucketElements(clientElements, 'salt', 7);
+    const serverBuckets = bucketElements(serverElements, 'salt', 7);
+    const intersection = clientBuckets.flatMap((bucket, chunk) => {
+      const serverSet = new Set(serverBuckets[chunk].map(idx => serverElements[idx]));
+      return bucket.filter(idx => serverSet.has(clientElements[idx]));
+    });
+
+    const expected = clientElements.map((_, idx) => idx).filter(idx => serverElements.includes(clientElements[idx]));
+    expect(intersection.sort((a, b) => a - b)).toEqual(expected);
+  });
+
+  test('depends on the salt', () => {
+    const buckets = clientElements.map(element => bucketOf(element, 'salt', 7));
+    expect(clientElements.map(element => bucketOf(element, 'other salt', 7))).not.toEqual(buckets);
+  });
+});
+
+describe('spillBuckets', () => {
+  // The client elements in batches, as read from a file
+  async function* batches() {
+    for (let start = 0; start < clientElements.length; start += 64) {
+      yield clientElements.slice(start, start + 64);
+    }
+  }
+
+  test('writes the same buckets as bucketElements, and removes them', async () => {
+    const spilled = await spillBuckets(batches(), 'salt', 7);
+    const buckets = bucketElements(clientElements, 'salt', 7);
+    try {
+      buckets.forEach((indices, chunk) => {
+        expect([...spilled.readParts(chunk)]).toEqual([{ indices, elements: indices.map(idx => clientElements[idx]) }]);
+      });
+    } finally {
+      spilled.remove();
+    }
+    expect([...spilled.readParts(0)]).toEqual([]);
+  });
+
+  test('reads a bucket back in parts of at most the size asked for', async () => {
+    const spilled = await spillBuckets(batches(), 'salt', 1);
+    try {
+      const parts = [...spilled.readParts(0, 128)];
+      expect(parts.map(part => part.indices.length)).toEqual([128, 128, 44]);
+      expect(parts.flatMap(part => part.elements)).toEqual(clientElements);
+    } finally {
+      spilled.remove();
+    }
+  });
+
+  test('keeps elements with line breaks and quotes intact', async () => {
+    const elements = ['a\nb', '"quoted"', '\u2028', ''];
+    const spilled = await spillBuckets([elements], 'salt', 1);
+    try {
+      expect([...spilled.readParts(0)][0].elements).toEqual(elements);
+    } finally {
+      spilled.remove();
+    }
+  });
+
+  test('reads back characters split across the pieces it reads', async () => {
+    // About 2.5MB of two-byte characters, more than one piece
+    const elements = Array.from({ length: 200000 }, (_, idx) => `é${idx}`);
+    const spilled = await spillBuckets([elements], 'salt', 1);
+    try {
+      expect([...spilled.readParts(0, Infinity)][0].elements).toEqual(elements);
+    } finally {
+      spilled.remove();
+    }
+  });
+
+  test('removes its files when reading the elements fails', async () => {
+    const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('psi-chunks-'));
+    async function* failing() {
+      yield ['one'];
+      throw new Error('read failed');
+    }
+    await expect(spillBuckets(failing(), 'salt', 3)).rejects.toThrow('read failed');
+    const after = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('psi-chunks-'));
+    expect(after).toEqual(before);
+  });
+});
+
+describe('createIndexBitmap', () => {
+  test('holds a set of indices', () => {
+    const bitmap = createIndexBitmap(20);
+    bitmap.add(0).add(9).add(19).add(9);
+    expect(bitmap.size).toBe(3);
+    expect(Array.from({ length: 20 }, (_, idx) => idx).filter(idx => bitmap.has(idx))).toEqual([0, 9, 19]);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, test, expect } = require('bun:test');
+const { PNG } = require('pngjs');
+const { FILLS, redactionMask, fillRedacted, maskImage } = require('../image_fill');
+
+const SECRET = 250;
+
+// A gray image that is not a whole number of tiles across or down, with a
+// secret pixel in the partial tile at the right edge, one in the bottom strip
+// and one in the redacted tile at (1, 0)
+function createImage() {
+  const png = new PNG({ width: 23, height: 13 });
+  for (let pixel = 0; pixel < 23 * 13; pixel++) {
+    png.data.fill(10, pixel * 4, pixel * 4 + 3);
+    png.data[pixel * 4 + 3] = 255;
+  }
+  for (const [x, y] of [[21, 5], [2, 12], [15, 3]]) {
+    png.data.fill(SECRET, (y * 23 + x) * 4, (y * 23 + x) * 4 + 3);
+  }
+  return png;
+}
+
+const tiling = { width: 23, height: 13, tileSize: 10 };
+const redactedTiles = [{ tx: 1, ty: 0 }];
+
+describe('redactionMask', () => {
+  test('covers the redacted tiles and the partial tiles at the edges', () => {
+    const mask = redactionMask(tiling, redactedTiles);
+    const masked = (x, y) => mask[y * 23 + x];
+
+    expect(masked(15, 3)).toBe(1);
+    expect(masked(5, 5)).toBe(0);
+    expect(masked(5, 9)).toBe(0);
+    for (let y = 0; y < 13; y++) {
+      for (let x = 20; x < 23; x++) expect(masked(x, y)).toBe(1);
+    }
+    for (let x = 0; x < 23; x++) {
+      for (let y = 10; y < 13; y++) expect(masked(x, y)).toBe(1);
+    }
+    expect(mask.reduce((sum, value) => sum + value, 0)).toBe(23 * 13 - 10 * 10);
+  });
+
+  test('covers nothing when the image is whole tiles and all are kept', () => {
+    const mask = redactionMask({ width: 20, height: 10, tileSize: 5 }, []);
+    expect(mask.every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('fillRedacted', () => {
+  for (const fill of FILLS) {
+    test(`${fill} leaves no redacted pixel behind`, () => {
+      const png = createImage();
+      const mask = redactionMask(tiling, redactedTiles);
+      fillRedacted(png, mask, { fill, tileSize: 10, pixelSize: 4 });
+
+      for (let pixel = 0; pixel < mask.length; pixel++) {
+        expect(png.data[pixel * 4 + 3]).toBe(255);
+        if (!mask[pixel]) {
+          expect([...png.data.slice(pixel * 4, pixel * 4 + 3)]).toEqual([10, 10, 10]);
+        }
+      }
+      for (let pixel = 0; pixel < mask.length; pixel++) {
+        expect(png.data.slice(pixel * 4, pixel * 4 + 3).includes(SECRET)).toBe(false);
+      }
+    });
+  }
+});
+
+describe('maskImage', () => {
+  test('is opaque over the redacted pixels, edges included, and transparent elsewhere', () => {
+    const mask = redactionMask(tiling, redactedTiles);
+    const image = PNG.sync.read(PNG.sync.write(maskImage(mask, 23, 13)));
+    const alpha = (x, y) => image.data[(y * 23 + x) * 4 + 3];
+
+    expect([image.width, image.height]).toEqual([23, 13]);
+    expect(alpha(15, 3)).toBe(255);
+    expect(alpha(21, 5)).toBe(255);
+    expect(alpha(2, 12)).toBe(255);
+    expect(alpha(5, 5)).toBe(0);
+  });
+});
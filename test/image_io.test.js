@@ -0,0 +1,63 @@
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PNG } = require('pngjs');
+const { readImage } = require('../image_io');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psi-image-io-'));
+const originalPath = process.env.PATH;
+
+// A solid page of one gray level
+function writePage(name, width, height, level) {
+  const png = new PNG({ width, height });
+  png.data.fill(level);
+  for (let pixel = 0; pixel < width * height; pixel++) png.data[pixel * 4 + 3] = 255;
+  fs.writeFileSync(path.join(dir, name), PNG.sync.write(png));
+}
+
+// Stands in for pdftoppm: "renders" the PDF as the two pages written above,
+// and records the arguments it was called with
+function installPdftoppm() {
+  const bin = path.join(dir, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'pdftoppm'), [
+    '#!/bin/sh',
+    `echo "$@" > "${dir}/args"`,
+    `cp "${dir}/page1.png" "$5-1.png"`,
+    `cp "${dir}/page2.png" "$5-2.png"`
+  ].join('\n') + '\n', { mode: 0o755 });
+  return bin;
+}
+
+beforeAll(() => {
+  writePage('page1.png', 6, 4, 10);
+  writePage('page2.png', 4, 3, 20);
+  fs.writeFileSync(path.join(dir, 'capture.pdf'), '%PDF-1.4\n');
+});
+
+afterAll(() => {
+  process.env.PATH = originalPath;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe.skipIf(sharp.format.pdf.input.file)('readImage of a PDF without PDF support in sharp', () => {
+  test('stacks the pages rendered by pdftoppm top to bottom', async () => {
+    process.env.PATH = `${installPdftoppm()}:${originalPath}`;
+    const { png, pages, format } = await readImage(path.join(dir, 'capture.pdf'));
+
+    expect([png.width, png.height, pages, format]).toEqual([6, 7, 2, 'pdf']);
+    expect(fs.readFileSync(path.join(dir, 'args'), 'utf8')).toStartWith(`-png -r 144 ${path.join(dir, 'capture.pdf')}`);
+    const pixel = (x, y) => [...png.data.subarray((y * 6 + x) * 4, (y * 6 + x) * 4 + 4)];
+    expect(pixel(5, 3)).toEqual([10, 10, 10, 255]);
+    expect(pixel(3, 4)).toEqual([20, 20, 20, 255]);
+    // The narrower second page is padded with white
+    expect(pixel(5, 6)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('says what is missing without pdftoppm', async () => {
+    process.env.PATH = path.join(dir, 'nothing');
+    await expect(readImage(path.join(dir, 'capture.pdf'))).rejects.toThrow('reading PDF needs pdftoppm');
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, test, expect, beforeAll, afterAll, beforeEach, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadIdentity, createPeerAuthServer, createPeerFetch } = require('../peer_auth');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psi-peer-auth-'));
+let server, client, stranger;
+const servers = [];
+
+// An HTTP server on a free port, returning its origin
+function listen(fetch) {
+  const httpServer = Bun.serve({ port: 0, hostname: '127.0.0.1', fetch });
+  servers.push(httpServer);
+  return `http://127.0.0.1:${httpServer.port}`;
+}
+
+// A peer-auth server whose handler echoes the request and the peer it came from
+function serve(options) {
+  const { wrap } = createPeerAuthServer({ identity: server, ...options });
+  return listen(wrap(async (req, httpServer, peerId) => {
+    const url = new URL(req.url);
+    return Response.json({
+      peerId,
+      method: req.method,
+      path: url.pathname + url.search,
+      body: await req.text()
+    }, { status: url.pathname === '/missing' ? 404 : 200 });
+  }));
+}
+
+beforeAll(() => {
+  spyOn(console, 'error').mockImplementation(() => {});
+  server = loadIdentity(path.join(dir, 'server.json'));
+  client = loadIdentity(path.join(dir, 'client.json'));
+  stranger = loadIdentity(path.join(dir, 'stranger.json'));
+});
+
+afterAll(() => {
+  for (const httpServer of servers) httpServer.stop(true);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('peer authentication', () => {
+  test('passes requests between trusted peers, with the client\'s identity', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    const peerFetch = createPeerFetch({ identity: client, trustedPeers: new Map([[server.publicKey, 'server']]) });
+
+    const res = await peerFetch(`${origin}/request?x=1`, { method: 'POST', body: 'blinded' });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ peerId: client.publicKey, method: 'POST', path: '/request?x=1', body: 'blinded' });
+    expect((await peerFetch(`${origin}/missing`)).status).toBe(404);
+    expect(await peerFetch.identityOf(origin)).toBe(server.publicKey);
+  });
+
+  test('the server refuses clients that are not pinned', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    const peerFetch = createPeerFetch({ identity: stranger, trustedPeers: new Map([[server.publicKey, 'server']]) });
+    await expect(peerFetch(`${origin}/setup`)).rejects.toThrow('failed: 403 Untrusted peer');
+  });
+
+  test('the client refuses servers that are not pinned', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    const peerFetch = createPeerFetch({ identity: client, trustedPeers: new Map([[stranger.publicKey, 'stranger']]) });
+    await expect(peerFetch(`${origin}/setup`)).rejects.toThrow('presented an untrusted identity');
+  });
+
+  test('refuses requests that are not sealed in a session', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    expect((await fetch(`${origin}/setup`)).status).toBe(401);
+    const sealed = await fetch(`${origin}/sealed`, { method: 'POST', headers: { 'X-PSI-Session': 'made up' }, body: 'x' });
+    expect(sealed.status).toBe(401);
+  });
+
+  test('the server refuses a handshake whose signature doesn\'t verify', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    const res = await fetch(`${origin}/handshake`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identity: client.publicKey, ephemeral: stranger.publicKey, signature: Buffer.alloc(64).toString('base64') })
+    });
+    expect(res.status).toBe(401);
+  });
+
+  test('the client refuses a handshake reply whose signature doesn\'t verify', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    // Relays the handshake to the real server, with the session id swapped
+    // after the server signed it
+    const tampering = listen(async req => {
+      const reply = await (await fetch(`${origin}/handshake`, { method: 'POST', body: await req.text() })).json();
+      return Response.json({ ...reply, session: 'attacker session' });
+    });
+    const peerFetch = createPeerFetch({ identity: client, trustedPeers: new Map([[server.publicKey, 'server']]) });
+    await expect(peerFetch(`${tampering}/setup`)).rejects.toThrow('sent an invalid handshake signature');
+  });
+
+  test('refuses a replayed request', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]) });
+    const peerFetch = createPeerFetch({ identity: client, trustedPeers: new Map([[server.publicKey, 'server']]) });
+    const fetchSpy = spyOn(globalThis, 'fetch');
+    try {
+      expect((await peerFetch(`${origin}/request`, { method: 'POST', body: 'blinded' })).status).toBe(200);
+      const [url, init] = fetchSpy.mock.calls.find(([url]) => String(url).endsWith('/sealed'));
+      fetchSpy.mockRestore();
+
+      const replayed = await fetch(url, init);
+      expect(replayed.status).toBe(400);
+      expect(await replayed.text()).toBe('Replayed request');
+    } finally {
+      fetchSpy.mockRestore();
+    }
+  });
+
+  test('runs the handshake again once the server expired the session', async () => {
+    const origin = serve({ trustedPeers: new Map([[client.publicKey, 'client']]), sessionTtlMs: 50 });
+    const peerFetch = createPeerFetch({ identity: client, trustedPeers: new Map([[server.publicKey, 'server']]) });
+
+    expect((await peerFetch(`${origin}/setup`)).status).toBe(200);
+    await Bun.sleep(100);
+    const res = await peerFetch(`${origin}/request`, { method: 'POST', body: 'again' });
+    expect(res.status).toBe(200);
+    expect((await res.json()).body).toBe('again');
+  });
+});
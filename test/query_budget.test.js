@@ -0,0 +1,179 @@
+const { describe, test, expect, beforeEach, spyOn } = require('bun:test');
+const { createQueryBudget } = require('../query_budget');
+
+const MINUTE = 60 * 1000;
+
+// A budget on a clock the tests move forward by hand
+function createBudget(options = {}) {
+  const clock = { time: 0 };
+  const budget = createQueryBudget({ windowMs: 60 * MINUTE, now: () => clock.time, ...options });
+  return { budget, clock };
+}
+
+// One complete unchunked session, as the server runs it
+function query(budget, clientId, numElements, options = {}) {
+  return budget.checkSetup(clientId, numElements, options) || budget.checkRequest(clientId, numElements, options);
+}
+
+beforeEach(() => {
+  spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('hang-man detection', () => {
+  test('flags a run of near-identical queries', () => {
+    const { budget } = createBudget();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 102)).toBeNull();
+    expect(query(budget, 'a', 99)).toEqual({ status: 403, reason: 'possible hang-man attack' });
+    expect(budget.checkSetup('a', 500)?.status).toBe(403);
+  });
+
+  test('allows the same query again once the window has passed', () => {
+    const { budget, clock } = createBudget();
+    for (let run = 0; run < 2; run++) {
+      expect(query(budget, 'a', 100)).toBeNull();
+      clock.time += MINUTE;
+    }
+    expect(query(budget, 'a', 100)?.status).toBe(403);
+    clock.time += 30 * MINUTE;
+    expect(budget.checkSetup('a', 100)?.status).toBe(403);
+
+    clock.time += 31 * MINUTE;
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+  });
+
+  test('only counts queries within the window towards a run', () => {
+    const { budget, clock } = createBudget();
+    for (let run = 0; run < 5; run++) {
+      expect(query(budget, 'a', 100)).toBeNull();
+      clock.time += 40 * MINUTE;
+    }
+  });
+
+  test('keeps clients apart', () => {
+    const { budget } = createBudget();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'b', 100)).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'b', 100)).toBeNull();
+  });
+
+  test('only logs with onHangman alert', () => {
+    const { budget } = createBudget({ onHangman: 'alert' });
+    for (let run = 0; run < 5; run++) {
+      expect(query(budget, 'a', 100)).toBeNull();
+    }
+  });
+
+  test('does not count the reveal after a preflight as another query', () => {
+    const { budget } = createBudget({ maxSessions: 2 });
+    expect(query(budget, 'a', 100, { preflight: true })).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 100, { preflight: true })).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(budget.checkSetup('a', 100)).toEqual({ status: 429, reason: 'session budget of 2 exhausted' });
+  });
+
+  test('counts every preflight and reveal pair', () => {
+    const { budget } = createBudget();
+    for (let run = 0; run < 2; run++) {
+      expect(query(budget, 'a', 100, { preflight: true })).toBeNull();
+      expect(query(budget, 'a', 100)).toBeNull();
+    }
+    expect(query(budget, 'a', 100, { preflight: true })?.status).toBe(403);
+  });
+
+  test('lets a preflight be followed up by one reveal only', () => {
+    const { budget } = createBudget({ maxSessions: 1 });
+    expect(query(budget, 'a', 100, { preflight: true })).toBeNull();
+    expect(budget.checkSetup('a', 100)).toBeNull();
+    expect(budget.checkSetup('a', 100)?.status).toBe(429);
+  });
+
+  test('records a query that reuses the size of an abandoned reveal', () => {
+    const { budget } = createBudget();
+    expect(query(budget, 'a', 100, { preflight: true })).toBeNull();
+    expect(budget.checkSetup('a', 100)).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 100)?.status).toBe(403);
+  });
+});
+
+describe('chunked sessions', () => {
+  // A chunked session as the server runs it: the client declares its size
+  // on setup, then sends its chunks
+  function chunkedQuery(budget, clientId, chunks, { sendChunks = chunks.length, preflight = false } = {}) {
+    const total = chunks.reduce((sum, size) => sum + size, 0);
+    return budget.checkSetup(clientId, total, { chunked: true, preflight }) ||
+      chunks.slice(0, sendChunks).reduce((refusal, size) => refusal || budget.checkRequest(clientId, size, { chunk: true }), null);
+  }
+
+  test('counts as one query of the declared size', () => {
+    const { budget } = createBudget();
+    expect(chunkedQuery(budget, 'a', [40, 30, 30])).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(chunkedQuery(budget, 'a', [50, 50])?.status).toBe(403);
+  });
+
+  test('is counted even when the client stops after one chunk', () => {
+    const { budget } = createBudget();
+    expect(chunkedQuery(budget, 'a', [10, 80, 10], { sendChunks: 1 })).toBeNull();
+    expect(chunkedQuery(budget, 'a', [10, 80, 10], { sendChunks: 1 })).toBeNull();
+    expect(chunkedQuery(budget, 'a', [10, 80, 10], { sendChunks: 1 })?.status).toBe(403);
+  });
+
+  test('abandoned sessions do not change the size of the next query', () => {
+    const { budget } = createBudget({ hangmanTolerance: 0 });
+    expect(chunkedQuery(budget, 'a', [500, 500], { sendChunks: 1 })).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(query(budget, 'a', 100)?.status).toBe(403);
+  });
+
+  test('does not count the reveal after a chunked preflight as another query', () => {
+    const { budget } = createBudget({ maxSessions: 2 });
+    expect(chunkedQuery(budget, 'a', [50, 50], { preflight: true })).toBeNull();
+    expect(chunkedQuery(budget, 'a', [50, 50])).toBeNull();
+    expect(chunkedQuery(budget, 'a', [60, 40])).toBeNull();
+  });
+});
+
+describe('budgets', () => {
+  test('refuses sessions over maxSessions until they leave the window', () => {
+    const { budget, clock } = createBudget({ maxSessions: 2 });
+    expect(query(budget, 'a', 10)).toBeNull();
+    clock.time += 10 * MINUTE;
+    expect(query(budget, 'a', 500)).toBeNull();
+    expect(budget.checkSetup('a', 1000)).toEqual({ status: 429, reason: 'session budget of 2 exhausted' });
+
+    clock.time += 51 * MINUTE;
+    expect(query(budget, 'a', 1000)).toBeNull();
+    expect(budget.checkSetup('a', 2000)?.status).toBe(429);
+  });
+
+  test('refuses elements over maxElements until they leave the window', () => {
+    const { budget, clock } = createBudget({ maxElements: 1000 });
+    expect(query(budget, 'a', 600)).toBeNull();
+    expect(budget.checkSetup('a', 500)).toEqual({ status: 429, reason: 'element budget of 1000 exhausted' });
+    expect(budget.checkSetup('a', 100)).toBeNull();
+    expect(budget.checkRequest('a', 500)?.status).toBe(429);
+
+    clock.time += 61 * MINUTE;
+    expect(query(budget, 'a', 1000)).toBeNull();
+  });
+
+  test('charges reverse sessions without counting them as hang-man queries', () => {
+    const { budget } = createBudget({ maxSessions: 3, maxElements: 1000 });
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(budget.checkReverse('a', 300)).toBeNull();
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(budget.checkReverse('a', 300)).toEqual({ status: 429, reason: 'session budget of 3 exhausted' });
+  });
+
+  test('refuses reverse sessions over maxElements', () => {
+    const { budget } = createBudget({ maxElements: 500 });
+    expect(query(budget, 'a', 100)).toBeNull();
+    expect(budget.checkReverse('a', 450)).toEqual({ status: 429, reason: 'element budget of 500 exhausted' });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, expect } from 'bun:test';
+import { createHash } from 'crypto';
+import { REDACTION_STYLES, createRedactor, tokenize, streamSegments, redact, highlight, createSegmentRenderer } from '../redaction.mjs';
+
+const SALT = 'test salt';
+
+describe('createRedactor', () => {
+  test('format replaces letters and digits by kind and case and keeps the rest', () => {
+    const redact = createRedactor({ style: 'format', salt: SALT });
+    const output = redact('John.Doe-42@example.com');
+    expect(output).toMatch(/^[A-Z][a-z]{3}\.[A-Z][a-z]{2}-[0-9]{2}@[a-z]{7}\.[a-z]{3}$/);
+    expect(output).not.toContain('John');
+  });
+
+  test('format replaces letters and digits outside the BMP', () => {
+    const redact = createRedactor({ style: 'format', salt: SALT });
+    const output = redact('𝒜lice 𝟙𝟚 𠮷田');
+    expect(output).toMatch(/^[A-Z][a-z]{4} [0-9]{2} [a-z]{2}$/);
+    expect(output).not.toMatch(/[\u{10000}-\u{10FFFF}]/u);
+  });
+
+  test('hash replaces every character, astral ones included', () => {
+    const redact = createRedactor({ style: 'hash', salt: SALT });
+    const output = redact('𝒜lice 😀');
+    expect([...output]).toHaveLength(7);
+    expect(output).toMatch(/^[A-Za-z0-9]+$/);
+  });
+
+  test('hash is derived from the SHA-256 of the text and salt', () => {
+    // The replacement picks characters from the hex digest, so a broken
+    // SHA-256 shows up as a different replacement
+    const alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    for (const text of ['', 'a', 'x'.repeat(55), 'x'.repeat(56), 'x'.repeat(64), 'x'.repeat(200), 'héllo wörld 😀']) {
+      const hash = createHash('sha256').update(text + SALT).digest('hex');
+      const expected = [...text].map((_, i) => alphabet[parseInt(hash.substr(i % (hash.length - 1), 2), 16) % alphabet.length]).join('');
+      expect(createRedactor({ style: 'hash', salt: SALT })(text)).toBe(expected);
+    }
+  });
+
+  test('is consistent for the same salt and differs across salts', () => {
+    const redact = createRedactor({ style: 'hash', salt: SALT });
+    expect(redact('Alice Smith')).toBe(createRedactor({ style: 'hash', salt: SALT })('Alice Smith'));
+    expect(redact('Alice Smith')).not.toBe(createRedactor({ style: 'hash', salt: 'other' })('Alice Smith'));
+  });
+
+  test('never returns the redacted text', () => {
+    for (const style of REDACTION_STYLES) {
+      const redact = createRedactor({ style, salt: SALT });
+      expect(redact('secret-token-1234')).not.toContain('secret');
+      expect(redact('secret-token-1234', 'raw')).not.toContain('secret');
+    }
+  });
+});
+
+describe('redact', () => {
+  test('keeps only the intersected lines', () => {
+    const tokenized = tokenize('shared\nsecret line\nshared two', 'line');
+    expect(redact(tokenized, new Set([0, 2]), { style: 'remove' })).toBe('shared\n\nshared two');
+  });
+
+  test('redacts the text and attributes of HTML outside the intersection', () => {
+    const tokenized = tokenize('<p>Public post</p><p>Hi Alice Smith</p><a href="/u/alice">me</a>', 'dom');
+    const kept = new Set(tokenized.elements.flatMap((element, idx) => /Alice|alice/.test(element) ? [] : [idx]));
+    for (const style of REDACTION_STYLES) {
+      const output = redact(tokenized, kept, { style, salt: SALT });
+      expect(output).toContain('Public post');
+      expect(output).not.toMatch(/Alice|alice/);
+    }
+  });
+});
+
+describe('streamSegments', () => {
+  const content = 'Hello,  world 42\r\nsecond line\n\n  𝒜lice said hi\t\nlast words';
+  // The content cut into pieces of every size from 1 to 7 characters, by code point
+  const piecesOf = size => {
+    const chars = [...content];
+    return Array.from({ length: Math.ceil(chars.length / size) }, (_, idx) => chars.slice(idx * size, (idx + 1) * size).join(''));
+  };
+  const collect = async (pieces, splitMode) => {
+    const result = [];
+    for await (const batch of streamSegments(pieces, splitMode)) result.push(...batch);
+    return result;
+  };
+
+  for (const splitMode of ['line', 'word', 'char']) {
+    test(`yields the elements of tokenize() in ${splitMode} mode however the content is cut`, async () => {
+      const { elements } = tokenize(content, splitMode);
+      for (let size = 1; size <= 7; size++) {
+        const segments = await collect(piecesOf(size), splitMode);
+        expect(segments.map(({ text }) => text).join('')).toBe(content);
+        const streamed = segments.filter(segment => segment.elementIdx !== undefined);
+        expect(streamed.map(({ element }) => element)).toEqual(elements);
+        expect(streamed.map(({ elementIdx }) => elementIdx)).toEqual(elements.map((_, idx) => idx));
+      }
+    });
+
+    test(`renders the same output as redact() and highlight() in ${splitMode} mode`, async () => {
+      const tokenized = tokenize(content, splitMode);
+      const kept = new Set(tokenized.elements.map((_, idx) => idx).filter(idx => idx % 3 === 0));
+      const segments = await collect(piecesOf(3), splitMode);
+      const redactSegment = createSegmentRenderer('redact', { salt: SALT });
+      const highlightSegment = createSegmentRenderer('highlight');
+      expect(segments.map(segment => redactSegment(segment, kept)).join('')).toBe(redact(tokenized, kept, { salt: SALT }));
+      expect(segments.map(segment => highlightSegment(segment, kept)).join('')).toBe(highlight(tokenized, kept));
+    });
+  }
+
+  test('refuses dom mode', async () => {
+    await expect(collect([content], 'dom')).rejects.toThrow("Split mode dom can't be streamed");
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, test, expect } = require('bun:test');
+const zlib = require('zlib');
+const { getHeader, readWarc, writeWarcRecord, parseHttpMessage, writeHttpMessage } = require('../warc');
+
+const RESPONSE = writeHttpMessage('HTTP/1.1 200 OK', [['Content-Type', 'text/html']], Buffer.from('<p>Hello</p>'));
+
+const records = [
+  ['WARC/1.1', [['WARC-Type', 'warcinfo'], ['Content-Length', '999']], Buffer.from('software: test\r\n')],
+  ['WARC/1.1', [['WARC-Type', 'response'], ['WARC-Target-URI', 'https://example.com/']], RESPONSE]
+];
+
+describe('readWarc', () => {
+  test('reads back the records written by writeWarcRecord', () => {
+    const warc = Buffer.concat(records.map(record => writeWarcRecord(...record)));
+    const read = readWarc(warc);
+
+    expect(read).toHaveLength(2);
+    expect(read[0].version).toBe('WARC/1.1');
+    expect(getHeader(read[0].headers, 'content-length')).toBe('16');
+    expect(getHeader(read[1].headers, 'warc-target-uri')).toBe('https://example.com/');
+    expect(read[1].block.equals(RESPONSE)).toBe(true);
+  });
+
+  test('reads gzipped WARCs with one member per record', () => {
+    const warc = Buffer.concat(records.map(record => zlib.gzipSync(writeWarcRecord(...record))));
+    expect(readWarc(warc).map(({ block }) => block.toString())).toEqual(records.map(([, , block]) => block.toString()));
+  });
+
+  test('rejects records that are truncated or not WARC', () => {
+    expect(() => readWarc(Buffer.from('WARC/1.1\r\nWARC-Type: response'))).toThrow('Truncated WARC record header at byte 0');
+    expect(() => readWarc(Buffer.from('HTTP/1.1 200 OK\r\n\r\n'))).toThrow('Invalid WARC record at byte 0');
+    expect(() => readWarc(Buffer.from('WARC/1.1\r\nWARC-Type: response\r\n\r\n'))).toThrow('has no Content-Length');
+  });
+});
+
+describe('parseHttpMessage', () => {
+  test('undoes chunked transfer encoding and gzip content encoding', () => {
+    const body = zlib.gzipSync('<p>Hello, world</p>');
+    const chunked = Buffer.concat([
+      Buffer.from(`a\r\n`), body.subarray(0, 10), Buffer.from(`\r\n${(body.length - 10).toString(16)}\r\n`),
+      body.subarray(10), Buffer.from('\r\n0\r\n\r\n')
+    ]);
+    const block = Buffer.concat([
+      Buffer.from('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\nContent-Encoding: gzip\r\nContent-Type: text/html\r\n\r\n'),
+      chunked
+    ]);
+    const message = parseHttpMessage(block);
+
+    expect(message.startLine).toBe('HTTP/1.1 200 OK');
+    expect(message.headers).toEqual([['Content-Type', 'text/html']]);
+    expect(message.body.toString()).toBe('<p>Hello, world</p>');
+  });
+
+  test('keeps a body it can\'t decode as-is, with its headers', () => {
+    const block = Buffer.from('HTTP/1.1 200 OK\r\nContent-Encoding: gzip\r\n\r\nnot gzip');
+    const message = parseHttpMessage(block);
+    expect(message.headers).toEqual([['Content-Encoding', 'gzip']]);
+    expect(message.body.toString()).toBe('not gzip');
+  });
+
+  test('round-trips through writeHttpMessage with a recomputed Content-Length', () => {
+    const message = parseHttpMessage(RESPONSE);
+    const written = writeHttpMessage(message.startLine, message.headers, Buffer.from('<p>Hi</p>'));
+    expect(written.toString()).toBe('HTTP/1.1 200 OK\r\nContent-Type: text/html\r\nContent-Length: 9\r\n\r\n<p>Hi</p>');
+    expect(writeHttpMessage('GET / HTTP/1.1', [['Host', 'example.com']], Buffer.alloc(0)).toString())
+      .toBe('GET / HTTP/1.1\r\nHost: example.com\r\n\r\n');
+  });
+});
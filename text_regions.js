@@ -0,0 +1,105 @@
+// Text-region detection for adaptive tiling in image PSI (psi_image.js
+// --text-regions).
+//
+// With small tiles, every letter of a screenshot is in a tile of its own, so
+// a hang-man attacker can guess a name one letter at a time. Large tiles stop
+// that but also blur away most legitimate content. Instead, the tiles that
+// hold text are grouped into regions (a word, a line, or lines set close
+// together), and each region becomes a single PSI element: it only matches
+// if the peer has the exact same text at the same place, so no single
+// letter can be confirmed. Everything else keeps small tiles.
+//
+// Detection runs locally and needs no OCR model: text is dense in sharp,
+// high-contrast edges (strokes), which flat backgrounds, gradients and most
+// UI chrome are not. Textured images get grouped the same way, which only
+// makes them coarser. Both peers must use the same settings, or their regions
+// and so their elements won't line up.
+
+// Luminance difference between neighboring pixels that counts as a stroke edge
+const EDGE_THRESHOLD = 48;
+// Fraction of neighboring pixel pairs in a tile that must be edges for the
+// tile to hold text
+const MIN_EDGE_DENSITY = 0.06;
+
+/**
+ * Finds text regions on the tile grid of an image, merging text tiles that
+ * are at most gap pixels apart on the same row (the space between words).
+ *
+ * Returns { regionOf, regionCount } where regionOf has one entry per tile,
+ * row by row: the region index of the tile, or -1 if it isn't text. Regions
+ * are numbered in the order their first tile appears.
+ */
+function findTextRegions(png, tileSize, { gap = 12 } = {}) {
+  const { width, data } = png;
+  const tilesAcross = Math.floor(png.width / tileSize);
+  const tilesDown = Math.floor(png.height / tileSize);
+  const luma = (x, y) => {
+    const idx = (y * width + x) * 4;
+    return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+  };
+
+  // Tiles dense in edges hold text
+  const isText = new Uint8Array(tilesAcross * tilesDown);
+  for (let ty = 0; ty < tilesDown; ty++) {
+    for (let tx = 0; tx < tilesAcross; tx++) {
+      let edges = 0, pairs = 0;
+      for (let y = ty * tileSize; y < (ty + 1) * tileSize; y++) {
+        for (let x = tx * tileSize; x < (tx + 1) * tileSize; x++) {
+          const value = luma(x, y);
+          if (x + 1 < width) {
+            pairs++;
+            if (Math.abs(value - luma(x + 1, y)) >= EDGE_THRESHOLD) edges++;
+          }
+          if (y + 1 < png.height) {
+            pairs++;
+            if (Math.abs(value - luma(x, y + 1)) >= EDGE_THRESHOLD) edges++;
+          }
+        }
+      }
+      isText[ty * tilesAcross + tx] = pairs > 0 && edges / pairs >= MIN_EDGE_DENSITY ? 1 : 0;
+    }
+  }
+
+  // Bridge the gaps between words on the same row of tiles
+  const gapTiles = Math.floor(gap / tileSize);
+  for (let ty = 0; ty < tilesDown; ty++) {
+    let lastText = -1;
+    for (let tx = 0; tx < tilesAcross; tx++) {
+      if (!isText[ty * tilesAcross + tx]) continue;
+      if (lastText >= 0 && tx - lastText - 1 <= gapTiles) {
+        isText.fill(1, ty * tilesAcross + lastText + 1, ty * tilesAcross + tx);
+      }
+      lastText = tx;
+    }
+  }
+
+  // Connected text tiles (up, down, left, right) form one region
+  const regionOf = new Int32Array(tilesAcross * tilesDown).fill(-1);
+  let regionCount = 0;
+  for (let start = 0; start < regionOf.length; start++) {
+    if (!isText[start] || regionOf[start] >= 0) continue;
+    const region = regionCount++;
+    const stack = [start];
+    regionOf[start] = region;
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      const tx = tile % tilesAcross;
+      const neighbors = [
+        tx > 0 ? tile - 1 : -1,
+        tx < tilesAcross - 1 ? tile + 1 : -1,
+        tile - tilesAcross,
+        tile + tilesAcross
+      ];
+      for (const neighbor of neighbors) {
+        if (neighbor >= 0 && neighbor < regionOf.length && isText[neighbor] && regionOf[neighbor] < 0) {
+          regionOf[neighbor] = region;
+          stack.push(neighbor);
+        }
+      }
+    }
+  }
+
+  return { regionOf, regionCount };
+}
+
+module.exports = { findTextRegions };
@@ -0,0 +1,66 @@
+// Capturing the active tab: its DOM as HTML, and a full-page screenshot
+// stitched together from one screenshot per viewport.
+
+// captureVisibleTab is limited to two calls per second
+const CAPTURE_INTERVAL_MS = 600;
+// Taller pages are cut off, tiles of very long screenshots take too much memory
+const MAX_SCREENSHOT_HEIGHT = 12000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const runInTab = async (tabId, func, args = []) => {
+  const [{ result }] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  return result;
+};
+
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = dataUrl;
+});
+
+// The serialized DOM, including changes made by scripts since the page loaded
+export const captureDom = (tab) => runInTab(tab.id, () => {
+  const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : '';
+  return doctype + document.documentElement.outerHTML;
+});
+
+// Scroll through the page one viewport at a time and draw each screenshot
+// into a canvas at its scroll position. The result is in CSS pixels, so
+// captures from screens with different pixel ratios still line up.
+export const captureFullPage = async (tab, onProgress = () => {}) => {
+  const page = await runInTab(tab.id, () => ({
+    width: document.documentElement.clientWidth,
+    height: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0),
+    viewportHeight: window.innerHeight,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY
+  }));
+  const height = Math.min(page.height, MAX_SCREENSHOT_HEIGHT);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = page.width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const steps = Math.ceil(height / page.viewportHeight);
+  try {
+    for (let step = 0; step < steps; step++) {
+      // The last viewport can't scroll past the end, so use where it really is
+      const scrollY = await runInTab(tab.id, (y) => {
+        window.scrollTo(0, y);
+        return window.scrollY;
+      }, [step * page.viewportHeight]);
+      await sleep(CAPTURE_INTERVAL_MS);
+
+      const screenshot = await loadImage(await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }));
+      ctx.drawImage(screenshot, 0, scrollY, page.width, screenshot.height * page.width / screenshot.width);
+      onProgress(step + 1, steps);
+    }
+  } finally {
+    await runInTab(tab.id, (x, y) => window.scrollTo(x, y), [page.scrollX, page.scrollY]);
+  }
+
+  return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,239 @@
+// Popup of the PSI browser extension.
+//
+// Both archivists open the same page. One clicks "Share with peer" and sends
+// the invite code it shows to the other, who pastes it and clicks "Anonymize". The
+// anonymizing side is the PSI client: it learns which parts of its capture
+// the sharing side also has, and saves a copy with everything else redacted.
+// The sharing side acts as the PSI server and learns nothing. The web UI can
+// be the sharing side too, with a SingleFile HTML or a screenshot selected.
+// Both sides must confirm that they see the same verification code before
+// any PSI message is exchanged.
+
+import { tokenize, redact, createIntersectionServer, createIntersectionClient } from '../../redaction.mjs';
+import { PSIEngine, toBase64, fromBase64 } from '@/lib/psi-engine';
+import { connectSignaling } from './signaling.js';
+import { captureDom, captureFullPage } from './capture.js';
+
+const DEFAULT_SERVER_URL = 'http://localhost:3001';
+// The page HTML is split into text nodes, attribute values and tags, so the
+// redacted copy is still valid HTML
+const SPLIT_MODE = 'dom';
+
+const $ = (id) => document.getElementById(id);
+const log = (message) => {
+  $('log').textContent += `${message}\n`;
+  $('log').scrollTop = $('log').scrollHeight;
+};
+
+let signaling = null;
+// The capture of the current tab: { tab, text?, image? }
+let capture = null;
+// PSI server key for each peer between its setup and its request
+const serverSessions = new Map();
+// Peers whose verification code the user confirmed
+const verifiedPeers = new Set();
+
+const getActiveTab = async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+};
+
+const captureTab = async () => {
+  const tab = await getActiveTab();
+  const result = { tab };
+  if ($('capture-dom').checked) {
+    result.text = await captureDom(tab);
+    log(`Captured ${result.text.length} characters of HTML`);
+  }
+  if ($('capture-screenshot').checked) {
+    result.image = await captureFullPage(tab, (step, steps) => log(`Captured screenshot ${step}/${steps}`));
+  }
+  if (!result.text && !result.image) {
+    throw new Error('Select the page HTML, the screenshot or both');
+  }
+  return result;
+};
+
+// Show the verification code of a connection, resolving once the user
+// confirms that the peer sees the same code
+const verifyCode = (sourceId, verificationCode) => new Promise(resolve => {
+  $('verification-code').textContent = verificationCode;
+  $('verification').hidden = false;
+  $('confirm-code').onclick = () => {
+    $('verification').hidden = true;
+    verifiedPeers.add(sourceId);
+    log(`Confirmed the verification code of ${sourceId}`);
+    resolve();
+  };
+});
+
+// Ask the user whether to answer a PSI session from a peer, resolving once
+// they allow it. Every session is a query against our capture, so none is
+// answered without the user's say.
+const approveSession = (sourceId, fileType, numElements) => new Promise((resolve, reject) => {
+  const what = fileType === 'image' ? 'screenshot' : 'page HTML';
+  $('session-request-text').textContent = `Peer ${sourceId} wants to intersect ${numElements} elements with your ${what}.`;
+  $('session-request').hidden = false;
+  $('allow-session').onclick = () => {
+    $('session-request').hidden = true;
+    resolve();
+  };
+  $('deny-session').onclick = () => {
+    $('session-request').hidden = true;
+    reject(new Error('The peer declined the session'));
+  };
+});
+
+// Server role: answer peers that intersect with our capture
+const answerPeers = (peer) => {
+  peer.on('connected', (sourceId, { verificationCode }) => {
+    log(`Peer ${sourceId} connected: compare the verification code`);
+    verifiedPeers.delete(sourceId);
+    verifyCode(sourceId, verificationCode);
+  });
+
+  peer.on('psi-start', async (sourceId, { fileType, splitMode, numElements }) => {
+    try {
+      if (!verifiedPeers.has(sourceId)) {
+        throw new Error('The verification code has not been confirmed yet');
+      }
+      const content = capture && (fileType === 'image' ? capture.image : capture.text);
+      if (!content) {
+        throw new Error(`No ${fileType === 'image' ? 'screenshot' : 'HTML'} captured to share`);
+      }
+      await approveSession(sourceId, fileType, numElements);
+      const psi = await PSIEngine.load();
+      const { elements } = await PSIEngine.prepareElements(content, fileType, { splitMode });
+
+      // Every session gets a fresh key
+      serverSessions.get(sourceId)?.delete();
+      const server = createIntersectionServer(psi, elements, { fpr: PSIEngine.fpr });
+      serverSessions.set(sourceId, server);
+      log(`Answering ${fileType} PSI from ${sourceId} (${numElements} elements)`);
+      await peer.send(sourceId, 'psi-setup', { setup: toBase64(server.setup(numElements)) });
+    } catch (err) {
+      log(`Error: ${err.message}`);
+      peer.send(sourceId, 'psi-error', { error: err.message });
+    }
+  });
+
+  peer.on('psi-request', async (sourceId, { request }) => {
+    const server = serverSessions.get(sourceId);
+    serverSessions.delete(sourceId);
+    try {
+      if (!server) {
+        throw new Error('No PSI session in progress');
+      }
+      await peer.send(sourceId, 'psi-response', { response: toBase64(server.readRequest(fromBase64(request)).respond()) });
+    } catch (err) {
+      log(`Error: ${err.message}`);
+      peer.send(sourceId, 'psi-error', { error: err.message });
+    } finally {
+      server?.delete();
+    }
+  });
+};
+
+const connect = async () => {
+  if (!signaling) {
+    const serverUrl = $('server-url').value.trim() || DEFAULT_SERVER_URL;
+    await chrome.storage.local.set({ serverUrl });
+    signaling = await connectSignaling(serverUrl);
+    $('session-id').textContent = signaling.sessionId;
+    answerPeers(signaling);
+  }
+  return signaling;
+};
+
+// Client role: one PSI round over the signaling server, returning our
+// prepared elements and the indices of those the peer also has
+const intersectWithPeer = async (peer, remoteId, fileType, content) => {
+  const psi = await PSIEngine.load();
+  const prepared = await PSIEngine.prepareElements(content, fileType, { splitMode: SPLIT_MODE });
+  const client = createIntersectionClient(psi, prepared.elements);
+  try {
+    await peer.send(remoteId, 'file-meta', {
+      fileType,
+      fileName: fileType === 'image' ? 'screenshot.png' : 'page.html',
+      fileSize: content.length
+    });
+
+    const setupMessage = peer.next('psi-setup', remoteId);
+    await peer.send(remoteId, 'psi-start', { fileType, splitMode: SPLIT_MODE, numElements: prepared.elements.length });
+    const { setup } = await setupMessage;
+
+    const responseMessage = peer.next('psi-response', remoteId);
+    await peer.send(remoteId, 'psi-request', { request: toBase64(client.request()) });
+    const { response } = await responseMessage;
+
+    return { ...prepared, indices: client.intersection(fromBase64(setup), fromBase64(response)) };
+  } finally {
+    client.delete();
+  }
+};
+
+const download = (url, filename) => chrome.downloads.download({ url, filename: `psi-anonymized/${filename}` });
+
+// A file name for the captured page: its host and path, and the time
+const captureName = (tab) => {
+  const { hostname, pathname } = new URL(tab.url);
+  const page = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/_+$/, '');
+  return `${page}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+};
+
+const share = async () => {
+  await connect();
+  capture = await captureTab();
+  const invite = await signaling.createInvite();
+  $('invite').value = invite;
+  log('Ready: send the invite code to your peer and keep this popup open');
+};
+
+const anonymize = async () => {
+  const invite = $('invite').value.trim();
+  if (!invite) {
+    throw new Error('Enter the invite code from your peer');
+  }
+  const peer = await connect();
+  capture = await captureTab();
+  const remoteId = await peer.join(invite);
+
+  const verificationCode = await peer.connect(remoteId);
+  log('Connected: compare the verification code with your peer');
+  await verifyCode(remoteId, verificationCode);
+
+  const name = captureName(capture.tab);
+  if (capture.text) {
+    const { elements, indices } = await intersectWithPeer(peer, remoteId, 'text', capture.text);
+    log(`HTML: kept ${indices.length} of ${elements.length} elements`);
+    const html = redact(tokenize(capture.text, SPLIT_MODE), indices, { style: 'html' });
+    await download(URL.createObjectURL(new Blob([html], { type: 'text/html' })), `${name}.html`);
+  }
+  if (capture.image) {
+    const { canvasData, tileData, indices } = await intersectWithPeer(peer, remoteId, 'image', capture.image);
+    log(`Screenshot: kept ${indices.length} of ${tileData.totalTiles} tiles`);
+    const redacted = PSIEngine.imagePSI.createRedactedImage(canvasData, tileData, indices);
+    await download(redacted.toDataURL('image/png'), `${name}.png`);
+  }
+  log('Saved the anonymized capture to your downloads');
+};
+
+// Run a button's action, reporting errors in the log
+const onClick = (id, action) => {
+  $(id).addEventListener('click', async () => {
+    $('share').disabled = $('anonymize').disabled = true;
+    try {
+      await action();
+    } catch (err) {
+      log(`Error: ${err.message}`);
+    } finally {
+      $('share').disabled = $('anonymize').disabled = false;
+    }
+  });
+};
+
+chrome.storage.local.get('serverUrl').then(({ serverUrl }) => {
+  $('server-url').value = serverUrl || DEFAULT_SERVER_URL;
+});
+onClick('share', share);
+onClick('anonymize', anonymize);
@@ -0,0 +1,202 @@
+// Client for the signaling server in ui/server.js. It speaks the same
+// register / relay protocol as the web UI (src/pages/index.tsx), so the
+// extension can run PSI with either the web UI or another extension.
+// Messages between peers are end-to-end encrypted as in the web UI
+// (src/lib/e2e.js): only the connection handshake is relayed in plaintext.
+
+import { startKeyAgreement, commitTo } from '@/lib/e2e';
+
+// Relayed in plaintext: the key agreement that sets up the encryption
+const HANDSHAKE_MESSAGES = new Set(['connect-request', 'connect-response', 'key-reveal']);
+
+export const connectSignaling = async (serverUrl) => {
+  const response = await fetch(`${serverUrl}/session`);
+  if (!response.ok) {
+    throw new Error(`Could not get a session from ${serverUrl}: ${response.status}`);
+  }
+  const { sessionId, token } = await response.json();
+
+  // Authenticated request to the signaling server
+  const request = async (path, body) => {
+    const res = await fetch(`${serverUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-Id': sessionId,
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body || {})
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `Signaling server error ${res.status}`);
+    }
+    return data;
+  };
+
+  const ws = new WebSocket(serverUrl.replace(/^http/, 'ws'));
+  // type -> handler(sourceId, data) for messages nobody is waiting for
+  const handlers = new Map();
+  // Pending next() calls: { type, sourceId, resolve, reject }
+  let waiters = [];
+  // peer ID -> encrypted channel, and the key agreements still in progress:
+  // peer ID -> { agreement, commitment }
+  const channels = new Map();
+  const agreements = new Map();
+
+  const next = (type, sourceId) => new Promise((resolve, reject) => {
+    waiters.push({ type, sourceId, resolve, reject });
+  });
+
+  const rejectWaiters = (err, sourceId = null) => {
+    const rejected = waiters.filter(waiter => !sourceId || waiter.sourceId === sourceId);
+    waiters = waiters.filter(waiter => !rejected.includes(waiter));
+    rejected.forEach(waiter => waiter.reject(err));
+  };
+
+  const relay = (targetId, messageType, messageData) => {
+    ws.send(JSON.stringify({ type: 'relay', targetId, messageType, messageData }));
+  };
+
+  // Handshake, invite owner side: answer a connection request with our public
+  // key, then check the key the peer reveals against its commitment. The
+  // connecting side is connect() below.
+  const handleHandshake = async (message) => {
+    if (message.type === 'connect-request') {
+      if (!message.data.commitment) {
+        throw new Error('Connection request without a key commitment');
+      }
+      const agreement = await startKeyAgreement();
+      channels.delete(message.sourceId);
+      agreements.set(message.sourceId, { agreement, commitment: message.data.commitment });
+      relay(message.sourceId, 'connect-response', { accepted: true, publicKey: agreement.publicKey });
+    } else if (message.type === 'key-reveal') {
+      const pending = agreements.get(message.sourceId);
+      agreements.delete(message.sourceId);
+      if (!pending) {
+        throw new Error('Public key revealed without a connection request');
+      }
+      if (await commitTo(message.data.publicKey) !== pending.commitment) {
+        throw new Error('The public key of the peer does not match its commitment');
+      }
+      const channel = await pending.agreement.channel(message.data.publicKey, { initiator: false });
+      channels.set(message.sourceId, channel);
+      dispatch({ type: 'connected', sourceId: message.sourceId, data: { verificationCode: channel.verificationCode } });
+    } else {
+      dispatch(message);
+    }
+  };
+
+  // Messages from the signaling server itself, handshake messages, and
+  // messages of peers that come out of their 'e2e' envelope
+  const receive = (message) => {
+    if (message.type === 'e2e') {
+      const channel = channels.get(message.sourceId);
+      if (!channel) {
+        return;
+      }
+      channel.decrypt(message.data)
+        .then(inner => dispatch({ ...message, ...inner }))
+        .catch(err => {
+          channels.delete(message.sourceId);
+          rejectWaiters(err, message.sourceId);
+        });
+    } else if (HANDSHAKE_MESSAGES.has(message.type)) {
+      handleHandshake(message).catch(err => rejectWaiters(err, message.sourceId));
+    } else if (message.type === 'error') {
+      dispatch(message);
+    }
+    // Anything else a peer sends in plaintext is dropped
+  };
+
+  const dispatch = (message) => {
+    if (message.type === 'error') {
+      rejectWaiters(new Error(message.error));
+      return;
+    }
+    if (message.type === 'psi-error') {
+      rejectWaiters(new Error(`Peer error: ${message.data.error}`), message.sourceId);
+      return;
+    }
+    const waiter = waiters.find(w => w.type === message.type && w.sourceId === message.sourceId);
+    if (waiter) {
+      waiters = waiters.filter(w => w !== waiter);
+      waiter.resolve(message.data);
+    } else if (handlers.has(message.type)) {
+      handlers.get(message.type)(message.sourceId, message.data);
+    }
+  };
+
+  await new Promise((resolve, reject) => {
+    ws.onopen = () => ws.send(JSON.stringify({ type: 'register', sessionId, token }));
+    ws.onerror = () => reject(new Error(`Could not connect to the signaling server at ${serverUrl}`));
+    ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'registered') {
+        resolve();
+      } else if (message.type === 'error') {
+        reject(new Error(message.error));
+      } else {
+        receive(message);
+      }
+    };
+  });
+  ws.onclose = () => rejectWaiters(new Error('Connection to the signaling server closed'));
+
+  return {
+    sessionId,
+
+    // Create a room and an invite for a peer to join it. Only sessions in
+    // the same room can relay messages to each other.
+    async createInvite() {
+      return (await request('/rooms')).invite;
+    },
+
+    // Join a peer's room with their invite, returning their session ID
+    async join(invite) {
+      const { members } = await request('/rooms/join', { invite });
+      return members[0];
+    },
+
+    // Connect to a peer in our room, agreeing on the keys that encrypt all
+    // further messages. Returns the verification code, which the users must
+    // compare before trusting the connection.
+    async connect(remoteId) {
+      const agreement = await startKeyAgreement();
+      channels.delete(remoteId);
+      const response = next('connect-response', remoteId);
+      relay(remoteId, 'connect-request', { commitment: agreement.commitment });
+      const { accepted, publicKey } = await response;
+      if (!accepted) {
+        throw new Error('Connection rejected by the peer');
+      }
+
+      const channel = await agreement.channel(publicKey, { initiator: true });
+      channels.set(remoteId, channel);
+      relay(remoteId, 'key-reveal', { publicKey: agreement.publicKey });
+      return channel.verificationCode;
+    },
+
+    // Send a message to a connected peer, end-to-end encrypted
+    async send(targetId, messageType, messageData) {
+      const channel = channels.get(targetId);
+      if (!channel) {
+        throw new Error(`Not connected to ${targetId}`);
+      }
+      relay(targetId, 'e2e', await channel.encrypt(messageType, messageData));
+    },
+
+    // Handle every message of a type that isn't awaited with next()
+    on(type, handler) {
+      handlers.set(type, handler);
+    },
+
+    // The data of the next message of a type from a peer. Call it before
+    // sending the message it answers, so that the answer can't be missed.
+    next,
+
+    close() {
+      ws.close();
+    }
+  };
+};
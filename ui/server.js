@@ -5,6 +5,7 @@ import cors from 'cors';
 import { json } from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { WebSocketServer } from 'ws';
+import crypto from 'crypto';
 
 const app = express();
 const server = http.createServer(app);
@@ -17,45 +18,223 @@ const wss = new WebSocketServer({ server });
 app.use(cors());
 app.use(json());
 
-// Store active sessions and their WebSocket connections
+// Sessions idle for longer than this expire, along with their connection
+const SESSION_TTL_MS = 60 * 60 * 1000;
+// Invites are single-use and expire if not used within this time
+const INVITE_TTL_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Connections that don't answer a ping within this time are dropped
+const PING_INTERVAL_MS = 30 * 1000;
+
+// Store active sessions, rooms and their WebSocket connections.
+// sessionId -> { token, createdAt, lastSeen, ip, rooms: Set of room IDs }
 const sessions = new Map();
+// sessionId -> WebSocket
 const connections = new Map();
+// roomId -> { owner, members: Set of session IDs, createdAt }
+const rooms = new Map();
+// invite token -> { roomId, expiresAt }
+const invites = new Map();
+
+// Peers encrypt their messages end-to-end (src/lib/e2e.js), so apart from
+// the key agreement handshake only opaque 'e2e' envelopes are relayed
+const RELAYED_TYPES = new Set(['connect-request', 'connect-response', 'key-reveal', 'e2e']);
+
+const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+const sameToken = (a, b) => {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Look up a session by its ID and secret token, marking it as active
+const authenticate = (sessionId, token) => {
+  const session = sessions.get(sessionId);
+  if (!session || !sameToken(session.token, token)) {
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+};
+
+// HTTP requests authenticate with X-Session-Id and Authorization: Bearer <token>
+const requireSession = (req, res, next) => {
+  const sessionId = req.get('X-Session-Id');
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const session = authenticate(sessionId, token);
+  if (!session) {
+    return res.status(401).json({ error: 'Unknown or expired session' });
+  }
+  req.sessionId = sessionId;
+  req.session = session;
+  next();
+};
+
+// Sessions can only reach each other while they are in the same room
+const shareRoom = (sourceId, targetId) => {
+  const source = sessions.get(sourceId);
+  return !!source && [...source.rooms].some(roomId => rooms.get(roomId)?.members.has(targetId));
+};
 
-// Generate a unique session ID
+const notify = (sessionId, message) => {
+  const ws = connections.get(sessionId);
+  if (ws && ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+const createInvite = (roomId) => {
+  const invite = newToken();
+  const expiresAt = Date.now() + INVITE_TTL_MS;
+  invites.set(invite, { roomId, expiresAt });
+  return { invite, expiresAt };
+};
+
+const leaveRoom = (roomId, sessionId) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.members.delete(sessionId);
+  sessions.get(sessionId)?.rooms.delete(roomId);
+  for (const memberId of room.members) {
+    notify(memberId, { type: 'room-left', roomId, sourceId: sessionId });
+  }
+  if (room.members.size === 0) {
+    rooms.delete(roomId);
+    for (const [invite, entry] of invites) {
+      if (entry.roomId === roomId) invites.delete(invite);
+    }
+    console.log(`Closed empty room ${roomId}`);
+  }
+};
+
+const removeSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  for (const roomId of [...session.rooms]) {
+    leaveRoom(roomId, sessionId);
+  }
+  sessions.delete(sessionId);
+  connections.get(sessionId)?.close(4001, 'Session expired');
+  connections.delete(sessionId);
+  console.log(`Expired session ${sessionId}`);
+};
+
+// Remove idle sessions (and with them their connections and empty rooms)
+// and unused invites
+const sweep = () => {
+  const now = Date.now();
+  for (const [sessionId, session] of sessions) {
+    if (session.lastSeen < now - SESSION_TTL_MS) {
+      removeSession(sessionId);
+    }
+  }
+  for (const [invite, entry] of invites) {
+    if (entry.expiresAt < now) invites.delete(invite);
+  }
+};
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+// Create a new session. The token is the secret that proves ownership of
+// the session ID: it's needed to connect, to join rooms and to relay.
 app.get('/session', (req, res) => {
   const sessionId = uuidv4();
+  const token = newToken();
   sessions.set(sessionId, {
+    token,
     createdAt: Date.now(),
-    ip: req.ip
+    lastSeen: Date.now(),
+    ip: req.ip,
+    rooms: new Set()
   });
   
   console.log(`Created new session: ${sessionId}`);
-  res.status(200).json({ sessionId });
+  res.status(200).json({ sessionId, token, expiresIn: SESSION_TTL_MS });
 });
 
-// List all active sessions
-app.get('/sessions', (req, res) => {
+// List the sessions that share a room with the caller
+app.get('/sessions', requireSession, (req, res) => {
   const activeSessions = [];
   
-  for (const [id, session] of sessions.entries()) {
-    // Only include sessions created in the last hour
-    if (session.createdAt > Date.now() - 60 * 60 * 1000) {
-      activeSessions.push({
-        id,
-        createdAt: session.createdAt
-      });
+  for (const roomId of req.session.rooms) {
+    for (const id of rooms.get(roomId)?.members || []) {
+      if (id !== req.sessionId) {
+        activeSessions.push({
+          id,
+          roomId,
+          connected: connections.has(id)
+        });
+      }
     }
   }
   
   res.status(200).json({ sessions: activeSessions });
 });
 
-// Direct message relay for file content
-app.post('/relay', (req, res) => {
-  const { sourceId, targetId, type, data } = req.body;
+// Create a room with the caller in it, and an invite for a peer
+app.post('/rooms', requireSession, (req, res) => {
+  const roomId = uuidv4();
+  rooms.set(roomId, { owner: req.sessionId, members: new Set([req.sessionId]), createdAt: Date.now() });
+  req.session.rooms.add(roomId);
+  
+  console.log(`Session ${req.sessionId} created room ${roomId}`);
+  res.status(201).json({ roomId, ...createInvite(roomId) });
+});
+
+// Create another invite for a room the caller is in
+app.post('/rooms/:roomId/invites', requireSession, (req, res) => {
+  const room = rooms.get(req.params.roomId);
+  if (!room || !room.members.has(req.sessionId)) {
+    return res.status(404).json({ error: 'Unknown room' });
+  }
+  res.status(201).json({ roomId: req.params.roomId, ...createInvite(req.params.roomId) });
+});
+
+// Join a room with an invite. Each invite can only be used once.
+app.post('/rooms/join', requireSession, (req, res) => {
+  const entry = invites.get(req.body?.invite);
+  if (!entry || entry.expiresAt < Date.now() || !rooms.has(entry.roomId)) {
+    return res.status(403).json({ error: 'Invalid or expired invite' });
+  }
+  invites.delete(req.body.invite);
+  
+  const room = rooms.get(entry.roomId);
+  for (const memberId of room.members) {
+    notify(memberId, { type: 'room-joined', roomId: entry.roomId, sourceId: req.sessionId });
+  }
+  room.members.add(req.sessionId);
+  req.session.rooms.add(entry.roomId);
+  
+  console.log(`Session ${req.sessionId} joined room ${entry.roomId}`);
+  res.status(200).json({
+    roomId: entry.roomId,
+    members: [...room.members].filter(id => id !== req.sessionId)
+  });
+});
+
+app.post('/rooms/:roomId/leave', requireSession, (req, res) => {
+  if (!req.session.rooms.has(req.params.roomId)) {
+    return res.status(404).json({ error: 'Unknown room' });
+  }
+  leaveRoom(req.params.roomId, req.sessionId);
+  res.status(200).json({ success: true });
+});
+
+// Direct message relay for file content, between members of a room
+app.post('/relay', requireSession, (req, res) => {
+  const { targetId, type, data } = req.body;
+  const sourceId = req.sessionId;
+  
+  if (!targetId) {
+    return res.status(400).json({ error: 'Target session ID is required' });
+  }
   
-  if (!sourceId || !targetId) {
-    return res.status(400).json({ error: 'Source and target session IDs are required' });
+  if (!RELAYED_TYPES.has(type)) {
+    return res.status(400).json({ error: `Not relaying unencrypted ${type} messages` });
+  }
+  
+  if (!shareRoom(sourceId, targetId)) {
+    return res.status(403).json({ error: 'Not in a room with the target session' });
   }
   
   if (!connections.has(targetId)) {
@@ -63,12 +242,11 @@ app.post('/relay', (req, res) => {
   }
   
   // Send message to target session
-  const targetWs = connections.get(targetId);
-  targetWs.send(JSON.stringify({
+  notify(targetId, {
     type,
     sourceId,
     data
-  }));
+  });
   
   console.log(`Relayed ${type} message from ${sourceId} to ${targetId}`);
   res.status(200).json({ success: true });
@@ -96,6 +274,7 @@ app.get('/', (req, res) => {
         <div class="info">
           <p>This is a signaling server for the PSI application.</p>
           <p>Active sessions: ${sessions.size}</p>
+          <p>Active rooms: ${rooms.size}</p>
           <p>Active WebSocket connections: ${connections.size}</p>
         </div>
       </body>
@@ -106,6 +285,13 @@ app.get('/', (req, res) => {
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
   let sessionId = null;
+  ws.isAlive = true;
+  
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    const session = sessions.get(sessionId);
+    if (session) session.lastSeen = Date.now();
+  });
   
   // Handle messages from clients
   ws.on('message', (message) => {
@@ -113,7 +299,21 @@ wss.on('connection', (ws, req) => {
       const data = JSON.parse(message);
       
       if (data.type === 'register') {
-        // Register session ID
+        // Register session ID, proven with its token
+        if (!authenticate(data.sessionId, data.token)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Unknown or expired session'
+          }));
+          ws.close(4001, 'Unknown or expired session');
+          return;
+        }
+        
+        // A session has one connection, a new one replaces the old one
+        const previous = connections.get(data.sessionId);
+        if (previous && previous !== ws) {
+          previous.close(4000, 'Replaced by a new connection');
+        }
         sessionId = data.sessionId;
         connections.set(sessionId, ws);
         console.log(`WebSocket registered for session ${sessionId}`);
@@ -125,16 +325,31 @@ wss.on('connection', (ws, req) => {
         }));
       }
       else if (data.type === 'relay') {
-        // Relay message to target session
+        // Relay message to target session, if both are in the same room
         const { targetId, messageType, messageData } = data;
         
-        if (connections.has(targetId)) {
-          const targetWs = connections.get(targetId);
-          targetWs.send(JSON.stringify({
+        if (!sessionId) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Not registered'
+          }));
+        } else if (!RELAYED_TYPES.has(messageType)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: `Not relaying unencrypted ${messageType} messages`
+          }));
+        } else if (!shareRoom(sessionId, targetId)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Not in a room with the target session'
+          }));
+        } else if (connections.has(targetId)) {
+          sessions.get(sessionId).lastSeen = Date.now();
+          notify(targetId, {
             type: messageType,
             sourceId: sessionId,
             data: messageData
-          }));
+          });
           
           console.log(`WebSocket relayed ${messageType} from ${sessionId} to ${targetId}`);
         } else {
@@ -151,13 +366,25 @@ wss.on('connection', (ws, req) => {
   
   // Handle disconnection
   ws.on('close', () => {
-    if (sessionId) {
+    if (sessionId && connections.get(sessionId) === ws) {
       connections.delete(sessionId);
       console.log(`WebSocket disconnected for session ${sessionId}`);
     }
   });
 });
 
+// Drop connections that stopped answering pings
+setInterval(() => {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) {
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}, PING_INTERVAL_MS).unref();
+
 // Start the server
 server.listen(port, '0.0.0.0', () => {
   console.log(`Signaling server running at http://0.0.0.0:${port}`);
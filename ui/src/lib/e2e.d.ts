@@ -0,0 +1,21 @@
+// Type declarations for e2e.js
+
+export interface Envelope {
+  iv: string;
+  ciphertext: string;
+}
+
+export interface Channel {
+  verificationCode: string;
+  encrypt(type: string, data: unknown): Promise<Envelope>;
+  decrypt(envelope: Envelope): Promise<{ type: string; data: unknown }>;
+}
+
+export interface KeyAgreement {
+  publicKey: string;
+  commitment: string;
+  channel(peerPublicKey: string, options: { initiator: boolean }): Promise<Channel>;
+}
+
+export function commitTo(publicKey: string): Promise<string>;
+export function startKeyAgreement(): Promise<KeyAgreement>;
@@ -0,0 +1,133 @@
+// End-to-end encryption of messages relayed by the signaling server
+// (ui/server.js). Shared by the web UI (src/pages/index.tsx) and the browser
+// extension (extension/).
+//
+// The two peers agree on keys with ECDH over the relay, then compare a short
+// verification code out of band (read it aloud, send it over chat). A relay
+// that swapped in its own keys would give each peer a different code. The
+// peer that connects commits to its public key before it sees the other
+// one, so a relay can't try keys until the two codes happen to match.
+//
+// After that every message is relayed as an 'e2e' envelope: the relay only
+// sees the routing IDs and an opaque ciphertext, not even the message type.
+
+import { toBase64, fromBase64 } from './psi-engine.js';
+
+const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+const VERIFICATION_DIGITS = 6;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const sha256 = async (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+};
+
+// One AES-GCM key per direction, so the two peers never encrypt under the
+// same key and IV
+const deriveKey = (secret, salt, direction, usage) => crypto.subtle.deriveKey(
+  { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(`psi-e2e ${direction}`) },
+  secret,
+  { name: 'AES-GCM', length: 256 },
+  false,
+  [usage]
+);
+
+// The commitment a connecting peer sends instead of its public key
+export const commitTo = async (publicKey) =>
+  toBase64(await sha256(encoder.encode('psi-e2e commitment'), fromBase64(publicKey)));
+
+/**
+ * Start a key agreement with a fresh key pair. Returns { publicKey, commitment,
+ * channel(peerPublicKey, { initiator }) }, where initiator is true on the peer
+ * that connected and sent its commitment first.
+ */
+export const startKeyAgreement = async () => {
+  const keyPair = await crypto.subtle.generateKey(CURVE, false, ['deriveBits']);
+  const publicKey = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey)));
+
+  return {
+    publicKey,
+    commitment: await commitTo(publicKey),
+
+    /**
+     * The encrypted channel to the peer: { verificationCode, encrypt(type, data),
+     * decrypt(envelope) }. decrypt throws on messages that were tampered with,
+     * replayed or reordered.
+     */
+    async channel(peerPublicKey, { initiator }) {
+      const peerKey = await crypto.subtle.importKey('raw', fromBase64(peerPublicKey), CURVE, false, []);
+      const secret = await crypto.subtle.importKey(
+        'raw',
+        await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, keyPair.privateKey, 256),
+        'HKDF',
+        false,
+        ['deriveKey']
+      );
+
+      const [initiatorKey, responderKey] = initiator ? [publicKey, peerPublicKey] : [peerPublicKey, publicKey];
+      const transcript = [fromBase64(initiatorKey), fromBase64(responderKey)];
+      const salt = await sha256(...transcript);
+      const [sendDirection, receiveDirection] = initiator ? ['initiator', 'responder'] : ['responder', 'initiator'];
+      const sendKey = await deriveKey(secret, salt, sendDirection, 'encrypt');
+      const receiveKey = await deriveKey(secret, salt, receiveDirection, 'decrypt');
+
+      const digest = await sha256(encoder.encode('psi-e2e verification'), ...transcript);
+      const code = (new DataView(digest.buffer).getUint32(0) % 10 ** VERIFICATION_DIGITS)
+        .toString()
+        .padStart(VERIFICATION_DIGITS, '0');
+
+      // The relay delivers messages in order, so each one must carry the next
+      // sequence number. WebCrypto calls may finish in any order, so they are
+      // queued and resolve in the order encrypt and decrypt were called.
+      let sent = 0;
+      let received = 0;
+      let encrypting = Promise.resolve();
+      let decrypting = Promise.resolve();
+
+      const encryptNext = async (type, data) => {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = encoder.encode(JSON.stringify({ seq: sent++, type, data }));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sendKey, plaintext);
+        return { iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+      };
+
+      const decryptNext = async ({ iv, ciphertext }) => {
+        const plaintext = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64(iv) },
+          receiveKey,
+          fromBase64(ciphertext)
+        ).catch(() => {
+          throw new Error('Could not decrypt a message from the peer');
+        });
+        const { seq, type, data } = JSON.parse(decoder.decode(plaintext));
+        if (seq !== received) {
+          throw new Error(`Message ${seq} from the peer is out of order (expected ${received})`);
+        }
+        received++;
+        return { type, data };
+      };
+
+      return {
+        verificationCode: `${code.slice(0, 3)} ${code.slice(3)}`,
+
+        encrypt(type, data) {
+          const envelope = encrypting.then(() => encryptNext(type, data));
+          encrypting = envelope.catch(() => {});
+          return envelope;
+        },
+
+        decrypt(envelope) {
+          const message = decrypting.then(() => decryptNext(envelope));
+          decrypting = message.catch(() => {});
+          return message;
+        }
+      };
+    }
+  };
+};
@@ -0,0 +1,78 @@
+// Type declarations for psi-engine.js
+
+import type { SplitMode } from '../../../redaction.mjs';
+
+export type FileType = 'text' | 'image';
+
+export interface CanvasData {
+  canvas: HTMLCanvasElement;
+  ctx: CanvasRenderingContext2D;
+  width: number;
+  height: number;
+  imageData: ImageData;
+}
+
+export interface Tile {
+  tx: number;
+  ty: number;
+  data: string;
+  index: number;
+}
+
+export interface TileData {
+  tiles: Tile[];
+  tilesAcross: number;
+  tilesDown: number;
+  totalTiles: number;
+  width: number;
+  height: number;
+}
+
+export interface TextResult {
+  intersection: string;
+  localHighlighted: string;
+  intersectionSize: number;
+  totalLocalElements: number;
+}
+
+export interface ImageResult {
+  intersectionCount: number;
+  totalTiles: number;
+  tileStatuses: number[];
+  localTileData: TileData;
+  localImage: string;
+  resultImage: string;
+}
+
+export class TextPSI {
+  splitContent(content: string, splitMode?: SplitMode): string[];
+  buildResult(content: string, elements: string[], intersectionIndices: Iterable<number>, splitMode?: SplitMode): TextResult;
+}
+
+export class ImagePSI {
+  constructor(tileSize?: number);
+  tileSize: number;
+  createCanvas(imageDataUrl: string): Promise<CanvasData>;
+  createTiles(canvasData: CanvasData): TileData;
+  createResultImage(localCanvasData: CanvasData, localTileData: TileData, intersectionIndices: number[]): HTMLCanvasElement;
+  createRedactedImage(localCanvasData: CanvasData, localTileData: TileData, intersectionIndices: number[]): HTMLCanvasElement;
+  buildResult(localImageDataUrl: string, localCanvasData: CanvasData, localTileData: TileData, intersectionIndices: number[]): ImageResult;
+}
+
+export interface PreparedElements {
+  elements: string[];
+  canvasData?: CanvasData;
+  tileData?: TileData;
+}
+
+export const PSIEngine: {
+  textPSI: TextPSI;
+  imagePSI: ImagePSI;
+  fpr: number;
+  psi: unknown;
+  load(): Promise<unknown>;
+  prepareElements(content: string, fileType: FileType, options?: { splitMode?: SplitMode }): Promise<PreparedElements>;
+};
+
+export function toBase64(bytes: Uint8Array): string;
+export function fromBase64(str: string): Uint8Array;
@@ -0,0 +1,241 @@
+// Browser-side PSI engine: text and image elements for @openmined/psi.js,
+// and rendering of the results. Shared by the web UI (src/pages/index.tsx)
+// and the browser extension (extension/).
+
+import PSI from '@openmined/psi.js';
+import { tokenize, highlight } from '../../../redaction.mjs';
+
+// PSI Text Implementation for Browser, on top of the tokenizer and
+// highlighter shared with the CLI (redaction.mjs)
+export class TextPSI {
+  // Split content by mode
+  splitContent(content, splitMode = 'line') {
+    return tokenize(content, splitMode).elements;
+  }
+  
+  // Build the text result from the intersection indices returned by the PSI client
+  buildResult(content, elements, intersectionIndices, splitMode = 'line') {
+    const intersection = [...intersectionIndices]
+      .sort((a, b) => a - b)
+      .map(idx => elements[idx]);
+    
+    return {
+      intersection: intersection.join(splitMode === 'line' ? '\n' : splitMode === 'word' ? '' : ' '),
+      localHighlighted: highlight(tokenize(content, splitMode), intersectionIndices, {
+        format: 'html',
+        classes: { match: 'text-green-500', unmatch: 'text-red-500' }
+      }),
+      intersectionSize: intersection.length,
+      totalLocalElements: elements.length
+    };
+  }
+}
+
+// PSI Image Implementation for Browser
+export class ImagePSI {
+  constructor(tileSize = 5) {
+    this.tileSize = tileSize;
+  }
+  
+  // Create canvas from image data URL
+  async createCanvas(imageDataUrl) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        const width = img.width;
+        const height = img.height;
+        canvas.width = width;
+        canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        
+        resolve({
+          canvas,
+          ctx,
+          width,
+          height,
+          imageData: ctx.getImageData(0, 0, width, height)
+        });
+      };
+      img.onerror = reject;
+      img.src = imageDataUrl;
+    });
+  }
+  
+  // Generate tiles from image data
+  createTiles(canvasData) {
+    const { width, height, imageData } = canvasData;
+    const tileSize = this.tileSize;
+    
+    const tilesAcross = Math.floor(width / tileSize);
+    const tilesDown = Math.floor(height / tileSize);
+    const totalTiles = tilesAcross * tilesDown;
+    
+    console.log(`Dividing image into ${tilesAcross}x${tilesDown} tiles (total ${totalTiles}) with tile size ${tileSize}px`);
+    
+    const tiles = [];
+    let tileIndex = 0;
+    
+    for (let ty = 0; ty < tilesDown; ty++) {
+      for (let tx = 0; tx < tilesAcross; tx++) {
+        // Format: tx + ty + pixel data (similar to the original algorithm)
+        let elementStr = String(tx).padStart(4, '0') + String(ty).padStart(4, '0');
+        
+        for (let y = 0; y < tileSize; y++) {
+          for (let x = 0; x < tileSize; x++) {
+            const globalX = tx * tileSize + x;
+            const globalY = ty * tileSize + y;
+            const idx = (globalY * width + globalX) * 4;
+            
+            // Add RGB values (as in original algorithm)
+            elementStr += String(imageData.data[idx]).padStart(3, '0') +
+                       String(imageData.data[idx + 1]).padStart(3, '0') +
+                       String(imageData.data[idx + 2]).padStart(3, '0');
+          }
+        }
+        
+        tiles.push({
+          tx,
+          ty,
+          data: elementStr,
+          index: tileIndex++
+        });
+      }
+    }
+    
+    return {
+      tiles,
+      tilesAcross,
+      tilesDown,
+      totalTiles,
+      width,
+      height
+    };
+  }
+  
+  // Create result image showing intersection
+  createResultImage(localCanvasData, localTileData, intersectionIndices) {
+    const { canvas, width, height } = localCanvasData;
+    const { tiles } = localTileData;
+    const tileSize = this.tileSize;
+    
+    // Create a set of intersection tile indices for quick lookup
+    const intersectionSet = new Set(intersectionIndices);
+    
+    // Create a copy of the canvas for the result
+    const resultCanvas = document.createElement('canvas');
+    resultCanvas.width = width;
+    resultCanvas.height = height;
+    const resultCtx = resultCanvas.getContext('2d');
+    resultCtx.drawImage(canvas, 0, 0);
+    
+    // Get image data to modify
+    const resultImageData = resultCtx.getImageData(0, 0, width, height);
+    
+    // Highlight non-intersecting tiles
+    for (const tile of tiles) {
+      if (!intersectionSet.has(tile.index)) {
+        // Make non-intersecting tiles semi-transparent
+        for (let y = 0; y < tileSize; y++) {
+          for (let x = 0; x < tileSize; x++) {
+            const globalX = tile.tx * tileSize + x;
+            const globalY = tile.ty * tileSize + y;
+            const idx = (globalY * width + globalX) * 4;
+            
+            // Make non-intersecting pixels more transparent and gray
+            resultImageData.data[idx] = Math.round(resultImageData.data[idx] * 0.5);
+            resultImageData.data[idx + 1] = Math.round(resultImageData.data[idx + 1] * 0.5);
+            resultImageData.data[idx + 2] = Math.round(resultImageData.data[idx + 2] * 0.5);
+            resultImageData.data[idx + 3] = Math.round(resultImageData.data[idx + 3] * 0.5);
+          }
+        }
+      }
+    }
+    
+    resultCtx.putImageData(resultImageData, 0, 0);
+    
+    return resultCanvas;
+  }
+  
+  // Create the anonymized image to save: non-intersecting tiles are filled
+  // with solid gray, so nothing of them survives (unlike the preview above)
+  createRedactedImage(localCanvasData, localTileData, intersectionIndices) {
+    const { canvas, width, height } = localCanvasData;
+    const intersectionSet = new Set(intersectionIndices);
+    
+    const redactedCanvas = document.createElement('canvas');
+    redactedCanvas.width = width;
+    redactedCanvas.height = height;
+    const redactedCtx = redactedCanvas.getContext('2d');
+    redactedCtx.drawImage(canvas, 0, 0);
+    redactedCtx.fillStyle = '#808080';
+    
+    for (const tile of localTileData.tiles) {
+      if (!intersectionSet.has(tile.index)) {
+        redactedCtx.fillRect(tile.tx * this.tileSize, tile.ty * this.tileSize, this.tileSize, this.tileSize);
+      }
+    }
+    // Partial tiles at the right and bottom edges are never compared
+    const { tilesAcross, tilesDown } = localTileData;
+    redactedCtx.fillRect(tilesAcross * this.tileSize, 0, width - tilesAcross * this.tileSize, height);
+    redactedCtx.fillRect(0, tilesDown * this.tileSize, width, height - tilesDown * this.tileSize);
+    
+    return redactedCanvas;
+  }
+  
+  // Build the image result from the intersection indices returned by the PSI client
+  buildResult(localImageDataUrl, localCanvasData, localTileData, intersectionIndices) {
+    console.log(`Found ${intersectionIndices.length} matching tiles out of ${localTileData.totalTiles}`);
+    
+    const resultCanvas = this.createResultImage(localCanvasData, localTileData, intersectionIndices);
+    const intersectionSet = new Set(intersectionIndices);
+    
+    return {
+      intersectionCount: intersectionIndices.length,
+      totalTiles: localTileData.totalTiles,
+      tileStatuses: localTileData.tiles.map(tile => intersectionSet.has(tile.index) ? 1 : 2),
+      localTileData,
+      localImage: localImageDataUrl,
+      resultImage: resultCanvas.toDataURL()
+    };
+  }
+}
+
+// PSI engine with both implementations and the shared WASM PSI module
+export const PSIEngine = {
+  textPSI: new TextPSI(),
+  imagePSI: new ImagePSI(5), // 5px tile size as in original algorithm
+  fpr: 0.001,
+  psi: null,
+  
+  // Load the @openmined/psi.js WASM module once, on first use
+  async load() {
+    if (!this.psi) {
+      this.psi = await PSI();
+    }
+    return this.psi;
+  },
+  
+  // Turn local content into PSI elements (plus whatever is needed to render the result)
+  async prepareElements(content, fileType, { splitMode = 'line' } = {}) {
+    if (fileType === 'image') {
+      const canvasData = await this.imagePSI.createCanvas(content);
+      const tileData = this.imagePSI.createTiles(canvasData);
+      return { elements: tileData.tiles.map(tile => tile.data), canvasData, tileData };
+    }
+    return { elements: this.textPSI.splitContent(content, splitMode) };
+  }
+};
+
+// PSI messages are protobuf bytes, relayed as base64 strings inside JSON
+export const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
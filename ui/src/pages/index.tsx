@@ -3,327 +3,31 @@ import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle }
 import { Button } from "@/components/ui/card";
 import _ from 'lodash';
 import Papa from 'papaparse';
+import { SPLIT_MODES, createIntersectionServer, createIntersectionClient } from '../../../redaction.mjs';
+import type { SplitMode } from '../../../redaction.mjs';
+import { PSIEngine, toBase64, fromBase64 } from '@/lib/psi-engine';
+import { startKeyAgreement, commitTo } from '@/lib/e2e';
+import type { Channel, KeyAgreement } from '@/lib/e2e';
 
-// ==================== PSI IMPLEMENTATION ====================
+// Split modes offered for text files (see splitMode below)
+const UI_SPLIT_MODES = SPLIT_MODES.filter(mode => mode !== 'dom');
 
-// PSI Text Implementation for Browser
-class TextPSI {
-  constructor() {
-    // Cache for redaction values to ensure consistent replacement
-    this.redactionCache = new Map();
-  }
-  
-  // Split content by mode
-  splitContent(content, splitMode = 'line') {
-    switch (splitMode) {
-      case 'line':
-        // Split by newlines and filter out empty lines
-        return content.split(/\r?\n/).filter(line => line.trim().length > 0);
-      
-      case 'word':
-        // Split into words and punctuation treating each as separate tokens
-        const wordElements = [];
-        let currentWord = '';
-        
-        for (let i = 0; i < content.length; i++) {
-          const char = content[i];
-          
-          if (/[a-zA-Z0-9]/.test(char)) {
-            // Alphanumeric characters form words
-            currentWord += char;
-          } else {
-            // End current word if any
-            if (currentWord) {
-              wordElements.push(currentWord);
-              currentWord = '';
-            }
-            
-            // Add whitespace as a token (represented by space)
-            if (/\s/.test(char)) {
-              wordElements.push(' ');
-            } else {
-              // Add punctuation as individual tokens
-              wordElements.push(char);
-            }
-          }
-        }
-        
-        // Add final word if any
-        if (currentWord) {
-          wordElements.push(currentWord);
-        }
-        
-        return wordElements;
-      
-      case 'char':
-        // Split by individual characters, excluding whitespace
-        return content.replace(/\s/g, '').split('');
-      
-      default:
-        console.error(`Invalid split mode: ${splitMode}`);
-        return content.split(/\r?\n/).filter(line => line.trim().length > 0);
-    }
-  }
-  
-  // Find intersection between local and remote content
-  findIntersection(localContent, remoteContent, options = {}) {
-    const splitMode = options.splitMode || 'line';
-    const progressCallback = options.onProgress || (() => {});
-    
-    // Split content based on the specified mode
-    const localElements = this.splitContent(localContent, splitMode);
-    const remoteElements = this.splitContent(remoteContent, splitMode);
-    
-    // Report initial progress
-    progressCallback(0, localElements.length);
-    
-    // Find intersection
-    const intersection = [];
-    let processedCount = 0;
-    
-    // Use a more efficient method for larger datasets
-    const remoteSet = new Set(remoteElements);
-    
-    for (const element of localElements) {
-      if (remoteSet.has(element)) {
-        intersection.push(element);
-      }
-      
-      // Update progress periodically
-      processedCount++;
-      if (processedCount % 10 === 0 || processedCount === localElements.length) {
-        progressCallback(processedCount, localElements.length);
-      }
-    }
-    
-    // Create a set for faster lookups
-    const intersectionSet = new Set(intersection);
-    
-    // For 'line' mode, highlight is straightforward
-    if (splitMode === 'line') {
-      const localLines = localContent.split(/\r?\n/);
-      const remoteLines = remoteContent.split(/\r?\n/);
-      
-      const localHighlighted = localLines.map(line => {
-        if (line.trim().length === 0) return line;
-        return intersectionSet.has(line) ? 
-          `<span class="text-green-500">${line}</span>` : 
-          `<span class="text-red-500">${line}</span>`;
-      }).join('\n');
-      
-      const remoteHighlighted = remoteLines.map(line => {
-        if (line.trim().length === 0) return line;
-        return intersectionSet.has(line) ? 
-          `<span class="text-green-500">${line}</span>` : 
-          `<span class="text-red-500">${line}</span>`;
-      }).join('\n');
-      
-      // Return result with different formats
-      return {
-        intersection: intersection.join('\n'),
-        localHighlighted,
-        remoteHighlighted,
-        intersectionSize: intersection.length,
-        totalLocalElements: localElements.length,
-        totalRemoteElements: remoteElements.length
-      };
-    }
-    
-    // For word and char modes, we'll use a simplified approach for this demo
-    return {
-      intersection: intersection.join(' '),
-      localHighlighted: localContent,
-      remoteHighlighted: remoteContent,
-      intersectionSize: intersection.length,
-      totalLocalElements: localElements.length,
-      totalRemoteElements: remoteElements.length
-    };
-  }
-}
+// Messages between the peers that must be end-to-end encrypted. They are
+// dropped if they arrive in plaintext through the signaling server.
+const ENCRYPTED_MESSAGES = new Set([
+  'file-meta', 'psi-start', 'psi-setup', 'psi-request', 'psi-response', 'psi-error', 'disconnect'
+]);
 
-// PSI Image Implementation for Browser
-class ImagePSI {
-  constructor(tileSize = 5) {
-    this.tileSize = tileSize;
-  }
-  
-  // Create canvas from image data URL
-  async createCanvas(imageDataUrl) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const width = img.width;
-        const height = img.height;
-        canvas.width = width;
-        canvas.height = height;
-        
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-        
-        resolve({
-          canvas,
-          ctx,
-          width,
-          height,
-          imageData: ctx.getImageData(0, 0, width, height)
-        });
-      };
-      img.onerror = reject;
-      img.src = imageDataUrl;
-    });
-  }
-  
-  // Generate tiles from image data
-  createTiles(canvasData) {
-    const { width, height, imageData } = canvasData;
-    const tileSize = this.tileSize;
-    
-    const tilesAcross = Math.floor(width / tileSize);
-    const tilesDown = Math.floor(height / tileSize);
-    const totalTiles = tilesAcross * tilesDown;
-    
-    console.log(`Dividing image into ${tilesAcross}x${tilesDown} tiles (total ${totalTiles}) with tile size ${tileSize}px`);
-    
-    const tiles = [];
-    let tileIndex = 0;
-    
-    for (let ty = 0; ty < tilesDown; ty++) {
-      for (let tx = 0; tx < tilesAcross; tx++) {
-        // Format: tx + ty + pixel data (similar to the original algorithm)
-        let elementStr = String(tx).padStart(4, '0') + String(ty).padStart(4, '0');
-        
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tx * tileSize + x;
-            const globalY = ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            
-            // Add RGB values (as in original algorithm)
-            elementStr += String(imageData.data[idx]).padStart(3, '0') +
-                       String(imageData.data[idx + 1]).padStart(3, '0') +
-                       String(imageData.data[idx + 2]).padStart(3, '0');
-          }
-        }
-        
-        tiles.push({
-          tx,
-          ty,
-          data: elementStr,
-          index: tileIndex++
-        });
-      }
-    }
-    
-    return {
-      tiles,
-      tilesAcross,
-      tilesDown,
-      totalTiles,
-      width,
-      height
-    };
-  }
-  
-  // Create result image showing intersection
-  createResultImage(localCanvasData, localTileData, intersection) {
-    const { canvas, ctx, width, height } = localCanvasData;
-    const { tiles } = localTileData;
-    const tileSize = this.tileSize;
-    
-    // Create a set of intersection tile indices for quick lookup
-    const intersectionSet = new Set(intersection.map(item => item.localTile.index));
-    
-    // Create a copy of the canvas for the result
-    const resultCanvas = document.createElement('canvas');
-    resultCanvas.width = width;
-    resultCanvas.height = height;
-    const resultCtx = resultCanvas.getContext('2d');
-    resultCtx.drawImage(canvas, 0, 0);
-    
-    // Get image data to modify
-    const resultImageData = resultCtx.getImageData(0, 0, width, height);
-    
-    // Highlight non-intersecting tiles
-    for (const tile of tiles) {
-      if (!intersectionSet.has(tile.index)) {
-        // Make non-intersecting tiles semi-transparent
-        for (let y = 0; y < tileSize; y++) {
-          for (let x = 0; x < tileSize; x++) {
-            const globalX = tile.tx * tileSize + x;
-            const globalY = tile.ty * tileSize + y;
-            const idx = (globalY * width + globalX) * 4;
-            
-            // Make non-intersecting pixels more transparent and gray
-            resultImageData.data[idx] = Math.round(resultImageData.data[idx] * 0.5);
-            resultImageData.data[idx + 1] = Math.round(resultImageData.data[idx + 1] * 0.5);
-            resultImageData.data[idx + 2] = Math.round(resultImageData.data[idx + 2] * 0.5);
-            resultImageData.data[idx + 3] = Math.round(resultImageData.data[idx + 3] * 0.5);
-          }
-        }
-      }
-    }
-    
-    resultCtx.putImageData(resultImageData, 0, 0);
-    
-    return resultCanvas;
-  }
-  
-  // Find intersection between two images
-  async findIntersection(localImageDataUrl, remoteImageDataUrl) {
-    try {
-      // Create canvases from image data
-      const localCanvasData = await this.createCanvas(localImageDataUrl);
-      const remoteCanvasData = await this.createCanvas(remoteImageDataUrl);
-      
-      // Extract tiles from both images
-      const localTileData = this.createTiles(localCanvasData);
-      const remoteTileData = this.createTiles(remoteCanvasData);
-      
-      console.log(`Local image: ${localTileData.totalTiles} tiles`);
-      console.log(`Remote image: ${remoteTileData.totalTiles} tiles`);
-      
-      // Find matching tiles
-      const localTileMap = new Map(localTileData.tiles.map(tile => [tile.data, tile]));
-      const remoteTileMap = new Map(remoteTileData.tiles.map(tile => [tile.data, tile]));
-      
-      const intersection = [];
-      
-      for (const [tileData, localTile] of localTileMap.entries()) {
-        if (remoteTileMap.has(tileData)) {
-          intersection.push({
-            localTile,
-            remoteTile: remoteTileMap.get(tileData)
-          });
-        }
-      }
-      
-      console.log(`Found ${intersection.length} matching tiles out of ${localTileData.totalTiles}`);
-      
-      // Create result image
-      const resultCanvas = this.createResultImage(localCanvasData, localTileData, intersection);
-      
-      // Return intersection data and images
-      return {
-        intersectionCount: intersection.length,
-        totalTiles: localTileData.totalTiles,
-        localImage: localImageDataUrl,
-        remoteImage: remoteImageDataUrl,
-        resultImage: resultCanvas.toDataURL()
-      };
-    } catch (error) {
-      console.error("Error finding image intersection:", error);
-      throw error;
-    }
-  }
+// A message from the signaling server. The data of relayed messages is
+// whatever the peer sent for that message type.
+interface SignalingMessage {
+  type: string;
+  sourceId: string;
+  sessionId?: string;
+  error?: string;
+  data?: ReturnType<typeof JSON.parse>;
 }
 
-// Simplified PSI engine with both implementations
-const PSIEngine = {
-  textPSI: new TextPSI(),
-  imagePSI: new ImagePSI(5) // 5px tile size as in original algorithm
-};
-
   // Create a tile grid component for visualizing image tiles
 const TileGrid = ({ tileData, tileStatuses, tileSize = 5 }) => {
   if (!tileData || !tileStatuses) {
@@ -402,11 +106,36 @@ const PSIApplication = () => {
   const [resultData, setResultData] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [fileType, setFileType] = useState(''); // 'text' or 'image'
+  // How text files are split into elements; the remote peer splits its file the same way.
+  // Not 'dom': its highlighted result is the captured page's own markup, which
+  // can't be rendered into this page safely.
+  const [splitMode, setSplitMode] = useState<SplitMode>('line');
   const [progress, setProgress] = useState({ current: 0, total: 100, label: '', phase: '' });
   const [tilesData, setTilesData] = useState(null);
+  const [inviteCode, setInviteCode] = useState('');
+  const [remoteInvite, setRemoteInvite] = useState('');
+  const [verificationCode, setVerificationCode] = useState('');
+  const [verified, setVerified] = useState(false);
   
   const webSocket = useRef(null);
+  // Secret token of our session, needed to register and to join rooms
+  const sessionToken = useRef('');
   const localFileContent = useRef(null);
+  const localFileType = useRef('');
+  // What the peer is told about our file once the codes are confirmed
+  const localFileMeta = useRef<{ fileType: string; fileName: string; fileSize: number } | null>(null);
+  // PSI state that must survive between relayed messages. The raw file content
+  // never leaves this tab: only setup, request and response messages are sent.
+  const psiServerSession = useRef(null);
+  const psiClientSession = useRef(null);
+  // End-to-end encryption with the remote peer: our half of the key agreement,
+  // the commitment the peer sent before revealing its key, and the channel
+  // once both keys are known
+  const keyAgreement = useRef<KeyAgreement | null>(null);
+  const peerCommitment = useRef('');
+  const e2eChannel = useRef<{ peerId: string; channel: Channel } | null>(null);
+  // PSI only runs once the user confirmed that both verification codes match
+  const codeVerified = useRef(false);
   const fileInputRef = useRef(null);
   const dropZoneRef = useRef(null);
   
@@ -418,10 +147,11 @@ const PSIApplication = () => {
         const response = await fetch('http://localhost:3001/session');
         const data = await response.json();
         setSessionId(data.sessionId);
+        sessionToken.current = data.token;
         console.log("Session ID:", data.sessionId);
         
         // Connect to WebSocket once we have a session ID
-        connectWebSocket(data.sessionId);
+        connectWebSocket(data.sessionId, data.token);
       } catch (err) {
         console.error("Error getting session ID:", err);
       }
@@ -459,7 +189,7 @@ const PSIApplication = () => {
   }, []);
   
   // Connect to WebSocket server
-  const connectWebSocket = (sid) => {
+  const connectWebSocket = (sid, token: string) => {
     // Close existing connection if any
     if (webSocket.current) {
       webSocket.current.close();
@@ -474,90 +204,17 @@ const PSIApplication = () => {
       // Register session ID
       ws.send(JSON.stringify({
         type: 'register',
-        sessionId: sid
+        sessionId: sid,
+        token
       }));
     };
     
-    ws.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      
-      switch (message.type) {
-        case 'registered':
-          console.log(`WebSocket registered for session ${message.sessionId}`);
-          break;
-          
-        case 'file-meta':
-          console.log("Received file metadata:", message.data);
-          setRemoteFile({
-            name: message.data.fileName,
-            size: message.data.fileSize,
-            type: message.data.fileType
-          });
-          break;
-          
-        case 'file-content':
-          console.log("Received file content with size:", 
-                     message.data.content ? message.data.content.length : 'unknown');
-          
-          // Reset any existing results and tile data when starting a new process
-          setResultData(null);
-          setTilesData(null);
-          
-          // Wait a short time to ensure UI updates before starting processing
-          setTimeout(() => {
-            processReceivedFile(message.data.content, message.data.fileType);
-          }, 100);
-          break;
-          
-        case 'request-file':
-          console.log("Remote peer requested file");
-          if (localFileContent.current) {
-            sendMessage(message.sourceId, 'file-content', {
-              content: localFileContent.current,
-              fileType: fileType
-            });
-          }
-          break;
-          
-        case 'connect-request':
-          console.log(`Received connection request from ${message.sourceId}`);
-          setRemoteSessionId(message.sourceId);
-          setConnectionStatus('connected');
-          
-          // Send acknowledgement
-          sendMessage(message.sourceId, 'connect-response', {
-            accepted: true
-          });
-          break;
-          
-        case 'connect-response':
-          console.log(`Connection response from ${message.sourceId}:`, message.data);
-          if (message.data.accepted) {
-            setConnectionStatus('connected');
-          } else {
-            setConnectionStatus('disconnected');
-            alert('Connection rejected by remote peer');
-          }
-          break;
-          
-        case 'disconnect':
-          console.log(`Disconnected from ${message.sourceId}`);
-          if (message.sourceId === remoteSessionId) {
-            setRemoteSessionId('');
-            setConnectionStatus('disconnected');
-            setRemoteFile(null);
-          }
-          break;
-          
-        case 'error':
-          console.error("WebSocket error:", message.error);
-          break;
-      }
-    };
+    ws.onmessage = (event) => handleMessage(JSON.parse(event.data));
     
     ws.onclose = () => {
       console.log("WebSocket connection closed");
       setConnectionStatus('disconnected');
+      resetEncryption();
     };
     
     ws.onerror = (error) => {
@@ -567,6 +224,131 @@ const PSIApplication = () => {
     webSocket.current = ws;
   };
   
+  // Handle a message from the signaling server, or one decrypted from an
+  // 'e2e' envelope of the remote peer
+  const handleMessage = (message: SignalingMessage, encrypted = false) => {
+    if (ENCRYPTED_MESSAGES.has(message.type) && !encrypted) {
+      console.error(`Dropped unencrypted ${message.type} message from ${message.sourceId}`);
+      return;
+    }
+    
+    switch (message.type) {
+      case 'registered':
+        console.log(`WebSocket registered for session ${message.sessionId}`);
+        break;
+        
+      case 'file-meta':
+        console.log("Received file metadata:", message.data);
+        setRemoteFile({
+          name: message.data.fileName,
+          size: message.data.fileSize,
+          type: message.data.fileType
+        });
+        break;
+        
+      case 'psi-start':
+        console.log(`Remote peer started PSI with ${message.data.numElements} elements`);
+        handlePSIStart(message.sourceId, message.data).catch(err => {
+          console.error("Error creating PSI setup:", err);
+          sendEncrypted(message.sourceId, 'psi-error', { error: err.message });
+        });
+        break;
+        
+      case 'psi-request':
+        console.log("Received PSI request");
+        handlePSIRequest(message.sourceId, message.data).catch(err => {
+          console.error("Error processing PSI request:", err);
+          sendEncrypted(message.sourceId, 'psi-error', { error: err.message });
+        });
+        break;
+        
+      case 'psi-setup':
+        console.log("Received PSI setup");
+        handlePSISetup(message.sourceId, message.data).catch(handlePSIFailure);
+        break;
+        
+      case 'psi-response':
+        console.log("Received PSI response");
+        handlePSIResponse(message.data).catch(handlePSIFailure);
+        break;
+        
+      case 'psi-error':
+        handlePSIFailure(new Error(message.data.error));
+        break;
+        
+      case 'e2e':
+        if (!e2eChannel.current || message.sourceId !== e2eChannel.current.peerId) {
+          console.error(`Dropped encrypted message from unknown peer ${message.sourceId}`);
+          break;
+        }
+        e2eChannel.current.channel.decrypt(message.data)
+          .then(inner => handleMessage({ ...message, ...inner }, true))
+          .catch(err => {
+            console.error("Error decrypting message:", err);
+            alert(err.message);
+            resetEncryption();
+            setRemoteSessionId('');
+            setConnectionStatus('disconnected');
+          });
+        break;
+        
+      case 'connect-request':
+        console.log(`Received connection request from ${message.sourceId}`);
+        handleConnectRequest(message.sourceId, message.data).catch(err => {
+          console.error("Error starting key agreement:", err);
+          resetEncryption();
+          setConnectionStatus('disconnected');
+        });
+        break;
+        
+      case 'connect-response':
+        console.log(`Connection response from ${message.sourceId}:`, message.data);
+        if (message.data.accepted) {
+          handleConnectResponse(message.sourceId, message.data).catch(err => {
+            console.error("Error completing key agreement:", err);
+            resetEncryption();
+            setConnectionStatus('disconnected');
+            alert('Failed to set up encryption with the remote peer: ' + err.message);
+          });
+        } else {
+          setConnectionStatus('disconnected');
+          alert('Connection rejected by remote peer');
+        }
+        break;
+        
+      case 'key-reveal':
+        console.log(`Received public key from ${message.sourceId}`);
+        handleKeyReveal(message.sourceId, message.data).catch(err => {
+          console.error("Error completing key agreement:", err);
+          resetEncryption();
+          setRemoteSessionId('');
+          setConnectionStatus('disconnected');
+          alert('Failed to set up encryption with the remote peer: ' + err.message);
+        });
+        break;
+        
+      case 'room-joined':
+        console.log(`Session ${message.sourceId} joined with our invite`);
+        setInviteCode('');
+        break;
+        
+      case 'room-left':
+      case 'disconnect':
+        console.log(`Disconnected from ${message.sourceId}`);
+        if (message.sourceId === e2eChannel.current?.peerId) {
+          setRemoteSessionId('');
+          setConnectionStatus('disconnected');
+          setRemoteFile(null);
+          resetEncryption();
+        }
+        break;
+        
+      case 'error':
+        console.error("WebSocket error:", message.error);
+        break;
+    }
+  };
+  
   // Send message through WebSocket
   const sendMessage = (targetId, messageType, messageData) => {
     if (!webSocket.current || webSocket.current.readyState !== WebSocket.OPEN) {
@@ -586,6 +368,82 @@ const PSIApplication = () => {
     return true;
   };
   
+  // Send a message to the remote peer end-to-end encrypted. The signaling
+  // server only sees an 'e2e' envelope and who it is for.
+  const sendEncrypted = async (targetId: string, messageType: string, messageData: object) => {
+    const e2e = e2eChannel.current;
+    if (!e2e || e2e.peerId !== targetId) {
+      console.error(`No encrypted channel to ${targetId}`);
+      return false;
+    }
+    
+    console.log(`Encrypting ${messageType} to ${targetId}`);
+    return sendMessage(targetId, 'e2e', await e2e.channel.encrypt(messageType, messageData));
+  };
+  
+  const resetEncryption = () => {
+    keyAgreement.current = null;
+    peerCommitment.current = '';
+    e2eChannel.current = null;
+    codeVerified.current = false;
+    setVerificationCode('');
+    setVerified(false);
+  };
+  
+  // Both peers now know both public keys: open the channel and show the
+  // verification code for the users to compare
+  const openChannel = async (peerId: string, peerPublicKey: string, initiator: boolean) => {
+    if (!keyAgreement.current) {
+      throw new Error("No key agreement in progress");
+    }
+    const channel = await keyAgreement.current.channel(peerPublicKey, { initiator });
+    e2eChannel.current = { peerId, channel };
+    setVerificationCode(channel.verificationCode);
+    setConnectionStatus('connected');
+  };
+  
+  // Key agreement, step 1 (invite owner): remember the connecting peer's
+  // commitment and send our public key
+  const handleConnectRequest = async (sourceId: string, { commitment }: { commitment?: string }) => {
+    if (!commitment) {
+      throw new Error("Connection request without a key commitment");
+    }
+    resetEncryption();
+    const agreement = await startKeyAgreement();
+    keyAgreement.current = agreement;
+    peerCommitment.current = commitment;
+    setRemoteSessionId(sourceId);
+    setConnectionStatus('connecting');
+    
+    sendMessage(sourceId, 'connect-response', {
+      accepted: true,
+      publicKey: agreement.publicKey
+    });
+  };
+  
+  // Key agreement, step 2 (connecting peer): reveal the public key we
+  // committed to, now that we have the owner's
+  const handleConnectResponse = async (sourceId: string, { publicKey }: { publicKey: string }) => {
+    if (!keyAgreement.current) {
+      throw new Error("Connection response without a connection request");
+    }
+    const ownPublicKey = keyAgreement.current.publicKey;
+    await openChannel(sourceId, publicKey, true);
+    sendMessage(sourceId, 'key-reveal', { publicKey: ownPublicKey });
+  };
+  
+  // Key agreement, step 3 (invite owner): check the revealed key against
+  // the commitment
+  const handleKeyReveal = async (sourceId: string, { publicKey }: { publicKey: string }) => {
+    if (!keyAgreement.current || !peerCommitment.current) {
+      throw new Error("Public key revealed without a connection request");
+    }
+    if (await commitTo(publicKey) !== peerCommitment.current) {
+      throw new Error("The remote peer's public key does not match its commitment");
+    }
+    await openChannel(sourceId, publicKey, false);
+  };
+  
   // Handle file selection
   const handleFileSelect = async (file) => {
     if (!file) return;
@@ -595,6 +453,7 @@ const PSIApplication = () => {
     // Determine file type
     const fileType = file.type.startsWith('image/') ? 'image' : 'text';
     setFileType(fileType);
+    localFileType.current = fileType;
     
     // Read file content
     const reader = new FileReader();
@@ -602,15 +461,8 @@ const PSIApplication = () => {
     reader.onload = async (e) => {
       const content = e.target.result;
       localFileContent.current = content;
-      
-      // If connected, send file metadata
-      if (connectionStatus === 'connected' && remoteSessionId) {
-        sendMessage(remoteSessionId, 'file-meta', {
-          fileType,
-          fileName: file.name,
-          fileSize: file.size
-        });
-      }
+      localFileMeta.current = { fileType, fileName: file.name, fileSize: file.size };
+      sendFileMeta();
     };
     
     if (fileType === 'image') {
@@ -621,31 +473,208 @@ const PSIApplication = () => {
   };
   
   // Create connection to remote peer
+  // Authenticated request to the signaling server
+  const signalingFetch = async (path: string, init: RequestInit = {}) => {
+    const response = await fetch(`http://localhost:3001${path}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Session-Id': sessionId,
+        'Authorization': `Bearer ${sessionToken.current}`
+      }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Signaling server error ${response.status}`);
+    }
+    return data;
+  };
+  
+  // Create a room and an invite code for the remote peer to join it with.
+  // Only sessions in the same room can relay messages to each other.
+  const createInvite = async () => {
+    try {
+      const { invite } = await signalingFetch('/rooms', { method: 'POST' });
+      setInviteCode(invite);
+    } catch (err) {
+      alert('Failed to create invite: ' + (err as Error).message);
+    }
+  };
+  
+  // Join the remote peer's room with their invite code and connect to them
   const createConnection = async () => {
-    if (!remoteSessionId) {
-      alert('Please enter remote peer session ID');
+    if (!remoteInvite) {
+      alert('Please enter the invite code from the remote peer');
       return;
     }
     
-    // Send connection request
-    const sent = sendMessage(remoteSessionId, 'connect-request', {});
+    try {
+      const { members } = await signalingFetch('/rooms/join', {
+        method: 'POST',
+        body: JSON.stringify({ invite: remoteInvite.trim() })
+      });
+      setRemoteSessionId(members[0]);
+      setRemoteInvite('');
+      
+      // Send connection request, committing to the public key we reveal
+      // once the remote peer has sent theirs
+      resetEncryption();
+      const agreement = await startKeyAgreement();
+      keyAgreement.current = agreement;
+      if (sendMessage(members[0], 'connect-request', { commitment: agreement.commitment })) {
+        setConnectionStatus('connecting');
+      } else {
+        alert('Failed to send connection request');
+      }
+    } catch (err) {
+      alert('Failed to join: ' + (err as Error).message);
+    }
+  };
+  
+  // Server role, step 1: build a setup message over our own elements
+  const handlePSIStart = async (sourceId, { fileType, splitMode, numElements }) => {
+    if (!codeVerified.current) {
+      throw new Error("Remote peer has not confirmed the verification code yet");
+    }
+    if (!localFileContent.current) {
+      throw new Error("Remote peer has not selected a file yet");
+    }
+    if (localFileType.current !== fileType) {
+      throw new Error(`File type mismatch: remote peer has ${localFileType.current} but we have ${fileType}`);
+    }
+    // Every session is a query against our file, so the user allows each one
+    if (!window.confirm(`The remote peer wants to intersect ${numElements} elements with your file. Allow this session?`)) {
+      throw new Error("Remote peer declined the session");
+    }
+    
+    const psi = await PSIEngine.load();
+    const { elements } = await PSIEngine.prepareElements(localFileContent.current, fileType, { splitMode });
+    
+    // Every session gets a fresh key
+    psiServerSession.current?.delete();
+    const server = createIntersectionServer(psi, elements, { fpr: PSIEngine.fpr });
+    psiServerSession.current = server;
+    
+    await sendEncrypted(sourceId, 'psi-setup', {
+      setup: toBase64(server.setup(numElements))
+    });
+  };
+  
+  // Server role, step 2: answer the client's blinded request
+  const handlePSIRequest = async (sourceId, { request }) => {
+    const server = psiServerSession.current;
+    if (!server) {
+      throw new Error("No PSI session in progress");
+    }
+    
+    const serverResponse = server.readRequest(fromBase64(request)).respond();
+    
+    await sendEncrypted(sourceId, 'psi-response', {
+      response: toBase64(serverResponse)
+    });
+    
+    // A session key is never reused for another request
+    server.delete();
+    psiServerSession.current = null;
+  };
+  
+  // Client role, step 2: send our blinded elements once the setup arrives
+  const handlePSISetup = async (sourceId, { setup }) => {
+    const session = psiClientSession.current;
+    if (!session) {
+      throw new Error("Received PSI setup without a PSI session in progress");
+    }
+    
+    setProgress({
+      current: 33,
+      total: 100,
+      label: "Sending request...",
+      phase: "processing"
+    });
+    
+    session.setup = setup;
+    
+    await sendEncrypted(sourceId, 'psi-request', {
+      request: toBase64(session.client.request())
+    });
+  };
+  
+  // Client role, step 3: compute the intersection and render our own content
+  const handlePSIResponse = async ({ response }) => {
+    const session = psiClientSession.current;
+    if (!session || !session.setup) {
+      throw new Error("Received PSI response without a PSI session in progress");
+    }
+    
+    setProgress({
+      current: 66,
+      total: 100,
+      label: "Computing intersection...",
+      phase: "processing"
+    });
     
-    if (sent) {
-      setConnectionStatus('connecting');
+    const intersectionIndices = session.client.intersection(fromBase64(session.setup), fromBase64(response));
+    
+    let result;
+    if (session.fileType === 'image') {
+      result = PSIEngine.imagePSI.buildResult(
+        session.content,
+        session.canvasData,
+        session.tileData,
+        intersectionIndices
+      );
+      setTilesData({
+        tileStatuses: result.tileStatuses,
+        localTileData: result.localTileData,
+        matchedCount: result.intersectionCount
+      });
     } else {
-      alert('Failed to send connection request');
+      result = PSIEngine.textPSI.buildResult(
+        session.content,
+        session.elements,
+        intersectionIndices,
+        session.splitMode
+      );
     }
+    
+    console.log("Processing complete, setting result data");
+    setResultData(result);
+    finishPSISession();
   };
   
-  // Process received file and find intersection
-  const processReceivedFile = async (content, type) => {
-    if (!localFileContent.current) {
-      console.error("No local file content");
+  const handlePSIFailure = (err) => {
+    console.error("Error processing files:", err);
+    alert("Error processing files: " + err.message);
+    finishPSISession();
+  };
+  
+  const finishPSISession = () => {
+    psiClientSession.current?.client.delete();
+    psiClientSession.current = null;
+    setIsProcessing(false);
+    setProgress({
+      current: 100,
+      total: 100,
+      label: "Complete",
+      phase: "complete"
+    });
+  };
+  
+  // Find intersection between files. We act as the PSI client and learn the
+  // intersection; the remote peer acts as the server and learns nothing.
+  const findIntersection = async () => {
+    if (!localFile || !remoteFile) {
+      alert("Both peers need to select files first");
+      return;
+    }
+    if (!verified) {
+      alert("Compare the verification code with the remote peer first");
       return;
     }
     
-    console.log("Starting to process file of type:", type);
-    
+    // Reset any existing results and tile data when starting a new process
+    setResultData(null);
+    setTilesData(null);
     setIsProcessing(true);
     setProgress({
       current: 0,
@@ -654,107 +683,63 @@ const PSIApplication = () => {
       phase: "starting"
     });
     
-    // Force UI update with a small delay
-    await new Promise(resolve => setTimeout(resolve, 50));
-    
     try {
-      let result;
+      const psi = await PSIEngine.load();
+      const content = localFileContent.current;
+      const prepared = await PSIEngine.prepareElements(content, fileType, { splitMode });
       
-      if (type === 'text') {
-        console.log("Processing text file");
-        result = await PSIEngine.textPSI.findIntersection(
-          localFileContent.current,
-          content,
-          {
-            onProgress: (current, total) => {
-              console.log(`Text processing progress: ${current}/${total}`);
-              setProgress({
-                current,
-                total,
-                label: `Processed ${current} of ${total} items`,
-                phase: "processing"
-              });
-            }
-          }
-        );
-      } else if (type === 'image') {
-        console.log("Processing image file");
-        // For image PSI, we'll track partial results for the tile grid view
-        setTilesData(null);
-        
-        result = await PSIEngine.imagePSI.findIntersection(
-          localFileContent.current,
-          content,
-          {
-            onProgress: (current, total, label) => {
-              console.log(`Image processing progress: ${current}/${total} - ${label}`);
-              setProgress({
-                current,
-                total,
-                label: label || `Processed ${current} of ${total} items`,
-                phase: "processing"
-              });
-            },
-            onPartialResults: (partialData) => {
-              console.log("Received partial results:", partialData.matchedCount);
-              setTilesData(partialData);
-            }
-          }
-        );
-        
-        console.log("Image processing complete, updating final tiles data");
-        // Update final tiles data with complete information
-        setTilesData({
-          tileStatuses: result.tileStatuses,
-          localTileData: result.localTileData,
-          matchedCount: result.intersectionCount
-        });
-      }
+      psiClientSession.current?.client.delete();
+      psiClientSession.current = {
+        ...prepared,
+        client: createIntersectionClient(psi, prepared.elements),
+        content,
+        fileType,
+        splitMode,
+        setup: null
+      };
       
-      console.log("Processing complete, setting result data");
-      setResultData(result);
-    } catch (err) {
-      console.error("Error processing files:", err);
-      alert("Error processing files: " + err.message);
-    } finally {
-      setIsProcessing(false);
-      setProgress({
-        current: 100,
-        total: 100,
-        label: "Complete",
-        phase: "complete"
+      console.log(`Starting PSI with ${prepared.elements.length} elements`);
+      await sendEncrypted(remoteSessionId, 'psi-start', {
+        fileType,
+        splitMode,
+        numElements: prepared.elements.length
       });
+    } catch (err) {
+      handlePSIFailure(err);
     }
   };
   
-  // Request file from remote peer
-  const requestRemoteFile = () => {
-    if (connectionStatus === 'connected' && remoteSessionId) {
-      sendMessage(remoteSessionId, 'request-file', {});
+  // Tell the peer about our file, once there is a file and a connection
+  // whose verification code the user confirmed: until then the peer could be
+  // someone intercepting the connection. Reads refs only, as it also runs
+  // from callbacks created before the connection was.
+  const sendFileMeta = () => {
+    const peerId = e2eChannel.current?.peerId;
+    if (codeVerified.current && peerId && localFileMeta.current) {
+      sendEncrypted(peerId, 'file-meta', localFileMeta.current);
     }
   };
   
-  // Find intersection between files
-  const findIntersection = () => {
-    if (!localFile || !remoteFile) {
-      alert("Both peers need to select files first");
-      return;
-    }
-    
-    console.log("Requesting remote file");
-    requestRemoteFile();
+  // The user compared the verification code with the remote peer's
+  const confirmVerificationCode = () => {
+    codeVerified.current = true;
+    setVerified(true);
+    sendFileMeta();
   };
   
   // Disconnect from remote peer
   const disconnect = () => {
     if (remoteSessionId) {
-      sendMessage(remoteSessionId, 'disconnect', {});
+      sendEncrypted(remoteSessionId, 'disconnect', {});
     }
+    resetEncryption();
     
     setRemoteSessionId('');
     setConnectionStatus('disconnected');
     setRemoteFile(null);
     setResultData(null);
+    psiServerSession.current?.delete();
+    psiServerSession.current = null;
   };
   
   return (
@@ -775,12 +760,27 @@ const PSIApplication = () => {
           <CardContent>
             <div className="flex flex-col gap-4">
               <div className="flex items-center gap-4">
-                <label className="w-32">Remote Session ID:</label>
+                <label className="w-32">Your Invite:</label>
+                {inviteCode ? (
+                  <span className="flex-1 font-mono bg-gray-100 p-2 rounded break-all">{inviteCode}</span>
+                ) : (
+                  <button 
+                    onClick={createInvite}
+                    className="px-4 py-2 border rounded hover:bg-gray-100"
+                    disabled={!sessionId || connectionStatus !== 'disconnected'}
+                  >
+                    Create invite
+                  </button>
+                )}
+              </div>
+              
+              <div className="flex items-center gap-4">
+                <label className="w-32">Remote Invite:</label>
                 <input 
                   type="text" 
-                  value={remoteSessionId} 
-                  onChange={(e) => setRemoteSessionId(e.target.value)}
-                  placeholder="Enter remote peer session ID" 
+                  value={connectionStatus === 'disconnected' ? remoteInvite : remoteSessionId} 
+                  onChange={(e) => setRemoteInvite(e.target.value)}
+                  placeholder="Enter the invite code from the remote peer" 
                   className="flex-1 p-2 border rounded"
                   disabled={connectionStatus !== 'disconnected'}
                 />
@@ -799,6 +799,29 @@ const PSIApplication = () => {
                 </span>
               </div>
               
+              {verificationCode && (
+                <div className="flex items-center gap-4">
+                  <label className="w-32">Verification:</label>
+                  <span className="font-mono text-lg bg-gray-100 p-1 rounded">{verificationCode}</span>
+                  {verified ? (
+                    <span className="text-green-500">Confirmed</span>
+                  ) : (
+                    <button 
+                      onClick={confirmVerificationCode}
+                      className="px-4 py-2 border rounded hover:bg-gray-100"
+                    >
+                      Codes match
+                    </button>
+                  )}
+                </div>
+              )}
+              {verificationCode && !verified && (
+                <p className="text-sm text-gray-500">
+                  Check that the remote peer sees the same code, over a channel you trust. If it differs,
+                  someone is intercepting the connection: disconnect.
+                </p>
+              )}
+              
               <div className="flex justify-end">
                 {connectionStatus === 'disconnected' ? (
                   <button 
@@ -875,10 +898,26 @@ const PSIApplication = () => {
               </div>
             )}
           </CardContent>
-          <CardFooter className="justify-end">
+          <CardFooter className="justify-end gap-4">
+            {fileType === 'text' && (
+              <div className="flex items-center gap-2">
+                <label htmlFor="split-mode">Split by:</label>
+                <select
+                  id="split-mode"
+                  value={splitMode}
+                  onChange={(e) => setSplitMode(e.target.value as SplitMode)}
+                  className="p-2 border rounded"
+                  disabled={isProcessing}
+                >
+                  {UI_SPLIT_MODES.map(mode => (
+                    <option key={mode} value={mode}>{mode}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <button
               onClick={findIntersection}
-              disabled={!localFile || !remoteFile || connectionStatus !== 'connected' || isProcessing}
+              disabled={!localFile || !remoteFile || connectionStatus !== 'connected' || !verified || isProcessing}
               className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
             >
               {isProcessing ? 'Processing...' : 'Find Intersection'}
@@ -899,7 +938,7 @@ const PSIApplication = () => {
             </CardHeader>
             <CardContent>
               {fileType === 'image' ? (
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div className="flex flex-col items-center">
                     <h3 className="font-medium mb-2">Local Image</h3>
                     <img src={resultData.localImage} alt="Local" className="max-w-full border" />
@@ -909,14 +948,9 @@ const PSIApplication = () => {
                     <h3 className="font-medium mb-2">Intersection Result</h3>
                     <img src={resultData.resultImage} alt="Result" className="max-w-full border" />
                   </div>
-                  
-                  <div className="flex flex-col items-center">
-                    <h3 className="font-medium mb-2">Remote Image</h3>
-                    <img src={resultData.remoteImage} alt="Remote" className="max-w-full border" />
-                  </div>
                 </div>
               ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="grid grid-cols-1 gap-4">
                   <div className="flex flex-col">
                     <h3 className="font-medium mb-2">Local Text (with highlights)</h3>
                     <div className="p-4 border rounded bg-gray-50 whitespace-pre-wrap overflow-auto max-h-96">
@@ -924,14 +958,7 @@ const PSIApplication = () => {
                     </div>
                   </div>
                   
-                  <div className="flex flex-col">
-                    <h3 className="font-medium mb-2">Remote Text (with highlights)</h3>
-                    <div className="p-4 border rounded bg-gray-50 whitespace-pre-wrap overflow-auto max-h-96">
-                      <div dangerouslySetInnerHTML={{ __html: resultData.remoteHighlighted }} />
-                    </div>
-                  </div>
-                  
-                  <div className="col-span-1 md:col-span-2">
+                  <div className="col-span-1">
                     <h3 className="font-medium mb-2">Intersection Only</h3>
                     <div className="p-4 border rounded bg-gray-50 whitespace-pre-wrap overflow-auto max-h-96">
                       {resultData.intersection || <em>No matching content found</em>}
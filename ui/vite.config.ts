@@ -14,6 +14,10 @@ export default defineConfig(({ command, mode }) => {
       build: {
         outDir: isGitHubPages ? 'dist-github' : 'dist'
       },
+      server: {
+        // redaction.mjs in the repository root is shared with the CLI
+        fs: { allow: ['..'] }
+      },
       resolve: {
         alias: {
           "@": path.resolve(__dirname, "./src"),
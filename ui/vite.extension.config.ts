@@ -0,0 +1,21 @@
+import path from "path";
+import { defineConfig } from "vite";
+
+// Builds the browser extension in extension/ into dist-extension/, which can
+// be loaded as an unpacked extension
+export default defineConfig({
+  root: path.resolve(__dirname, "extension"),
+  base: "./",
+  build: {
+    outDir: path.resolve(__dirname, "dist-extension"),
+    emptyOutDir: true,
+    rollupOptions: {
+      input: path.resolve(__dirname, "extension/popup.html")
+    }
+  },
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "./src"),
+    },
+  },
+})
@@ -0,0 +1,165 @@
+// Minimal WARC reader/writer, plus parsing of the HTTP messages stored in
+// request and response records.
+
+const zlib = require('zlib');
+
+/**
+ * Finds a header value by case-insensitive name in a list of [name, value] pairs.
+ */
+function getHeader(headers, name) {
+  const lower = name.toLowerCase();
+  const header = headers.find(([headerName]) => headerName.toLowerCase() === lower);
+  return header ? header[1] : undefined;
+}
+
+function parseHeaderLines(lines) {
+  return lines.filter(line => line.length > 0).map(line => {
+    const colon = line.indexOf(':');
+    return colon === -1 ? [line.trim(), ''] : [line.slice(0, colon).trim(), line.slice(colon + 1).trim()];
+  });
+}
+
+/**
+ * Reads all records from a .warc or .warc.gz buffer.
+ * Returns an array of { version, headers, block } where headers is a list of
+ * [name, value] pairs and block is the raw record content.
+ */
+function readWarc(buffer) {
+  // Gzipped WARCs are one gzip member per record, which gunzip concatenates
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  const records = [];
+  let pos = 0;
+  while (pos < buffer.length) {
+    // Skip the blank lines that separate records
+    while (pos < buffer.length && (buffer[pos] === 0x0d || buffer[pos] === 0x0a)) pos++;
+    if (pos >= buffer.length) break;
+
+    const headerEnd = buffer.indexOf('\r\n\r\n', pos);
+    if (headerEnd === -1) {
+      throw new Error(`Truncated WARC record header at byte ${pos}`);
+    }
+    const lines = buffer.subarray(pos, headerEnd).toString('utf8').split('\r\n');
+    const version = lines.shift();
+    if (!version.startsWith('WARC/')) {
+      throw new Error(`Invalid WARC record at byte ${pos}`);
+    }
+    const headers = parseHeaderLines(lines);
+    const length = parseInt(getHeader(headers, 'Content-Length'), 10);
+    if (isNaN(length)) {
+      throw new Error(`WARC record at byte ${pos} has no Content-Length`);
+    }
+
+    const blockStart = headerEnd + 4;
+    records.push({ version, headers, block: buffer.subarray(blockStart, blockStart + length) });
+    pos = blockStart + length;
+  }
+  return records;
+}
+
+/**
+ * Serializes one WARC record, recomputing its Content-Length.
+ */
+function writeWarcRecord(version, headers, block) {
+  const lines = [
+    version,
+    ...headers
+      .filter(([name]) => name.toLowerCase() !== 'content-length')
+      .map(([name, value]) => `${name}: ${value}`),
+    `Content-Length: ${block.length}`
+  ];
+  return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), block, Buffer.from('\r\n\r\n')]);
+}
+
+function dechunk(body) {
+  const chunks = [];
+  let pos = 0;
+  while (pos < body.length) {
+    const lineEnd = body.indexOf('\r\n', pos);
+    if (lineEnd === -1) break;
+    const size = parseInt(body.subarray(pos, lineEnd).toString('latin1').split(';')[0], 16);
+    if (!(size > 0)) break;
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    pos = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+function decodeContent(body, encoding) {
+  switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(body);
+    case 'deflate':
+      try {
+        return zlib.inflateSync(body);
+      } catch (err) {
+        return zlib.inflateRawSync(body);
+      }
+    case 'br':
+      return zlib.brotliDecompressSync(body);
+    default:
+      throw new Error(`Unsupported Content-Encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Parses the HTTP message in a request or response record block.
+ *
+ * Transfer-Encoding and Content-Encoding are undone so that the body can be
+ * split as text, and the headers describing them are dropped (along with
+ * Content-Length, which writeHttpMessage recomputes). If the body can't be
+ * decoded it is returned as-is with its headers intact.
+ *
+ * Returns { startLine, headers, body }.
+ */
+function parseHttpMessage(block) {
+  let headerEnd = block.indexOf('\r\n\r\n');
+  const bodyStart = headerEnd === -1 ? block.length : headerEnd + 4;
+  if (headerEnd === -1) headerEnd = block.length;
+
+  // Header bytes are kept as latin1 so they round-trip unchanged
+  const lines = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+  const startLine = lines.shift();
+  const headers = parseHeaderLines(lines);
+  const rawBody = block.subarray(bodyStart);
+
+  try {
+    let body = rawBody;
+    if (/chunked/i.test(getHeader(headers, 'Transfer-Encoding') || '')) {
+      body = dechunk(body);
+    }
+    const encoding = (getHeader(headers, 'Content-Encoding') || '').trim().toLowerCase();
+    if (encoding && encoding !== 'identity' && body.length > 0) {
+      body = decodeContent(body, encoding);
+    }
+    return {
+      startLine,
+      headers: headers.filter(([name]) => !/^(transfer-encoding|content-encoding|content-length)$/i.test(name)),
+      body
+    };
+  } catch (err) {
+    return { startLine, headers, body: rawBody };
+  }
+}
+
+/**
+ * Serializes an HTTP message, recomputing its Content-Length (which is left
+ * out for requests without a body).
+ */
+function writeHttpMessage(startLine, headers, body) {
+  const lines = [
+    startLine,
+    ...headers
+      .filter(([name]) => name.toLowerCase() !== 'content-length')
+      .map(([name, value]) => `${name}: ${value}`)
+  ];
+  if (body.length > 0 || startLine.startsWith('HTTP/')) {
+    lines.push(`Content-Length: ${body.length}`);
+  }
+  return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'latin1'), body]);
+}
+
+module.exports = { getHeader, readWarc, writeWarcRecord, parseHttpMessage, writeHttpMessage };